@@ -0,0 +1,152 @@
+// ============================================
+// Accessibility (tabs, inert sections, focus, announcements)
+// ============================================
+
+// The section nav is a WAI-ARIA tablist (render.js gives the buttons
+// role="tab" and the sections role="tabpanel"):
+//   - roving tabindex: only the selected tab is in the tab order; arrow
+//     keys, Home and End move focus between tabs, Enter/Space activates
+//     (manual activation: a section change is an animation, not a toggle)
+//   - sections that are off-screen are inert (all of them in card mode),
+//     so Tab never lands in content the viewer cannot see
+//   - entering section mode moves focus into the section's content;
+//     returning to card mode moves it to that section's card
+//   - a polite live region announces the section name in the current language
+// Mobile stacks every section vertically: nothing is off-screen, nothing is inert.
+
+let sectionAnnouncer = null; // The live region
+let sectionAnnouncementTimer = null;
+
+/**
+ * Marks every section except the visible one inert (desktop only)
+ */
+function updateSectionInert() {
+    const visibleIndex = navState.mode === 'section' ? getCurrentSection() : -1;
+    const stacked = isMobile();
+    navigableSections.forEach((section, index) => {
+        section.inert = !stacked && index !== visibleIndex;
+    });
+}
+
+/**
+ * Reflects the active section on the tabs (aria-selected, roving tabindex)
+ * @param {number} activeIndex - Active navigable section index
+ */
+function updateNavTabs(activeIndex) {
+    navigableNavButtons.forEach((button, index) => {
+        const selected = index === activeIndex;
+        button.setAttribute('aria-selected', String(selected));
+        button.tabIndex = selected ? 0 : -1;
+    });
+}
+
+/**
+ * Arrow keys, Home and End move focus within the tablist
+ * @param {KeyboardEvent} event
+ */
+function handleNavTabKeyDown(event) {
+    const index = navigableNavButtons.indexOf(event.target);
+    if (index === -1) return;
+
+    const last = navigableNavButtons.length - 1;
+    let nextIndex;
+    switch (event.key) {
+        case 'ArrowRight':
+            nextIndex = index === last ? 0 : index + 1;
+            break;
+        case 'ArrowLeft':
+            nextIndex = index === 0 ? last : index - 1;
+            break;
+        case 'Home':
+            nextIndex = 0;
+            break;
+        case 'End':
+            nextIndex = last;
+            break;
+        default:
+            return;
+    }
+
+    // Handled here: the section keyboard router skips prevented events
+    event.preventDefault();
+    navigableNavButtons.forEach((button, buttonIndex) => {
+        button.tabIndex = buttonIndex === nextIndex ? 0 : -1;
+    });
+    navigableNavButtons[nextIndex].focus();
+}
+
+/**
+ * Moves focus into a section's content (it is focusable but not tabbable)
+ * @param {number} index - Navigable section index
+ */
+function focusSectionContent(index) {
+    const section = navigableSections[index];
+    const content = section ? section.querySelector('.section-content') : null;
+    if (content && navState.mode === 'section') {
+        content.focus({ preventScroll: true });
+    }
+}
+
+/**
+ * Moves focus to the card of a section
+ * @param {number} index - Navigable section index
+ */
+function focusSectionCard(index) {
+    const card = navCardItems[index];
+    if (card && navState.mode === 'card') {
+        card.focus({ preventScroll: true });
+    }
+}
+
+/**
+ * Announces the current section through the live region. Coalesced, so
+ * entering a section and the section change it causes are one announcement.
+ */
+function scheduleSectionAnnouncement() {
+    if (!sectionAnnouncer) return;
+    clearTimeout(sectionAnnouncementTimer);
+    sectionAnnouncementTimer = setTimeout(() => {
+        if (navState.mode !== 'section') return;
+        const section = getContentSection(navigableSectionIds[getCurrentSection()]);
+        if (!section) return;
+        // Cleared first so re-entering the same section is announced again
+        sectionAnnouncer.textContent = '';
+        requestAnimationFrame(() => {
+            sectionAnnouncer.textContent = getLocalized(section.title, getLocale());
+        });
+    }, 100);
+}
+
+/**
+ * Sets up the tablist keys, the live region and inert sections
+ */
+function initAccessibility() {
+    const sectionNav = document.querySelector('.section-nav');
+    if (sectionNav) {
+        sectionNav.addEventListener('keydown', handleNavTabKeyDown);
+    }
+
+    sectionAnnouncer = document.createElement('div');
+    sectionAnnouncer.className = 'visually-hidden';
+    sectionAnnouncer.setAttribute('role', 'status');
+    sectionAnnouncer.setAttribute('aria-live', 'polite');
+    sectionAnnouncer.setAttribute('aria-atomic', 'true');
+    document.body.appendChild(sectionAnnouncer);
+
+    document.addEventListener('cv:sectionchange', scheduleSectionAnnouncement);
+    // Tab panels are named by their tabs; the other sections by their title
+    document.addEventListener('cv:languagechange', () => {
+        document.querySelectorAll('.cv-section[data-navigable="false"]').forEach((section) => {
+            labelStandaloneSection(section);
+        });
+    });
+    document.addEventListener('cv:navmodechange', (event) => {
+        if (event.detail.mode === 'section') scheduleSectionAnnouncement();
+    });
+
+    // Mode changes and navigation starts (the target becomes visible) are state transitions
+    navState.subscribe(({ accepted }) => {
+        if (accepted) updateSectionInert();
+    });
+    updateSectionInert();
+}
@@ -0,0 +1,128 @@
+// ============================================
+// Public API & DOM Events
+// ============================================
+
+// The supported way to drive and observe the site from outside the core
+// (analytics, guided tours, experiments, embedding pages). The other
+// globals are internal and may change without notice; window.CV will not.
+//
+//   CV.goTo('experience')        → Promise, see scrollToSection
+//   CV.next(), CV.prev()         → Promise, resolves null at the first/last section
+//   CV.setLanguage('en')
+//   CV.setMode('card' | 'section')
+//   CV.getState()                → { mode, sectionId, sectionIndex, language, isNavigating, sections }
+//
+// Changes are announced as CustomEvents on document (they bubble to window):
+//   cv:sectionchange   detail { sectionId, index, previousSectionId }
+//   cv:navmodechange   detail { mode, previousMode }
+//   cv:languagechange  detail { language, previousLanguage }
+
+const CV_API_VERSION = 1;
+
+let announcedSectionId = null; // Last section announced with cv:sectionchange
+
+/**
+ * Dispatches a cv:* event on document
+ * @param {string} name - Event name without the cv: prefix
+ * @param {Object} detail
+ */
+function dispatchCvEvent(name, detail) {
+    document.dispatchEvent(new CustomEvent(`cv:${name}`, { detail, bubbles: true }));
+}
+
+/**
+ * Announces the active section if it changed (called from updateActiveSection)
+ * @param {number} index - Active navigable section index
+ */
+function announceActiveSection(index) {
+    const sectionId = navigableSectionIds[index] || null;
+    if (sectionId === announcedSectionId) return;
+    const previousSectionId = announcedSectionId;
+    announcedSectionId = sectionId;
+    dispatchCvEvent('sectionchange', { sectionId, index, previousSectionId });
+}
+
+/**
+ * Navigates to a section the way a nav button does (entering section mode from the card)
+ * @param {string} sectionId
+ * @param {{instant?: boolean}} [options]
+ * @returns {Promise<Object|null>} See scrollToSection; rejects for an unknown section
+ */
+function goToSectionById(sectionId, options = {}) {
+    const index = navigableSectionIds.indexOf(sectionId);
+    if (index === -1) {
+        return Promise.reject(new Error(`Unknown section: ${sectionId}`));
+    }
+    if (navState.isNavigating) {
+        logEvent('nav_rejected', { input: 'api', sectionId, reason: 'navigating' });
+        return Promise.resolve(null);
+    }
+
+    navState.dispatch('INTENT', { source: 'nav' });
+    if (navState.mode === 'card') {
+        // Focus moves into the section, as from a card or nav button
+        return enterSectionMode(index, { instant: !!options.instant });
+    }
+    return scrollToSection(index, { instant: !!options.instant });
+}
+
+/**
+ * Moves by one section
+ * @param {1|-1} step
+ * @returns {Promise<Object|null>}
+ */
+function goToAdjacentSection(step) {
+    const sectionId = navigableSectionIds[getCurrentSection() + step];
+    return sectionId ? goToSectionById(sectionId) : Promise.resolve(null);
+}
+
+/**
+ * Switches between card and section mode. Waits for a running navigation;
+ * card mode does not exist on mobile, so it is ignored there.
+ * @param {'card'|'section'} mode
+ */
+function setModeFromApi(mode) {
+    if (mode !== 'card' && mode !== 'section') {
+        throw new Error(`Unknown mode: ${mode}`);
+    }
+    if (mode === 'card' && isMobile()) return;
+    runWhenNavigationSettles(() => {
+        if (mode === 'card') {
+            returnToCardMode();
+        } else {
+            setNavMode('section');
+        }
+    });
+}
+
+/**
+ * Reads the state extensions may depend on
+ * @returns {{mode: string, sectionId: string|null, sectionIndex: number, language: string, isNavigating: boolean, sections: string[]}}
+ */
+function getPublicState() {
+    const sectionIndex = getCurrentSection();
+    return {
+        mode: navState.mode,
+        sectionId: navigableSectionIds[sectionIndex] || null,
+        sectionIndex,
+        language: document.documentElement.lang,
+        isNavigating: navState.isNavigating,
+        sections: navigableSectionIds.slice()
+    };
+}
+
+window.CV = Object.freeze({
+    version: CV_API_VERSION,
+    goTo: goToSectionById,
+    next: () => goToAdjacentSection(1),
+    prev: () => goToAdjacentSection(-1),
+    setLanguage(lang) {
+        if (!isSupportedLocale(lang)) {
+            throw new Error(`Unsupported language: ${lang}`);
+        }
+        saveLanguagePreference(lang);
+        switchLanguage(lang);
+    },
+    setMode: setModeFromApi,
+    getState: getPublicState
+});
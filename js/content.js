@@ -0,0 +1,481 @@
+// ============================================
+// CV Content (single source of truth)
+// ============================================
+
+// Everything visible in the sections, the section nav and the nav cards is
+// rendered from this object by js/render.js. Edit the CV here, not in
+// index.html.
+//
+// Localized fields are objects keyed by language code ({ tr, en }).
+// Sections appear in the order below (or by an explicit order); navigable,
+// mergeInto and card decide their part in navigation (see js/sections.js).
+//
+// PHOTO SLOT comments mark where an image fits. To fill one, give the entry
+// (or a prose section) a media list; js/render.js draws it lazily loaded
+// with its caption, and js/media.js opens it in the lightbox:
+//   media: [{
+//       src: 'assets/photos/teyit-team.jpg',
+//       srcset: 'assets/photos/teyit-team-640.jpg 640w, assets/photos/teyit-team.jpg 1280w', // optional
+//       width: 1280, height: 853,   // intrinsic size: reserves the space before the image loads
+//       alt: { tr, en },
+//       caption: { tr, en }         // optional
+//   }]
+
+const CV_CONTENT = {
+    languages: ['tr', 'en'],
+
+    person: {
+        name: 'Emircan Saç',
+        email: 'emircansac@gmail.com'
+    },
+
+    ui: {
+        cardAffordance: { tr: '↓ kaydırarak keşfedin', en: '↓ scroll to explore' }
+    },
+
+    sections: [
+        // ----------------------------------------
+        // About
+        // ----------------------------------------
+        {
+            id: 'about',
+            kind: 'prose',
+            navigable: true,
+            title: { tr: 'Hakkımda', en: 'About' },
+            card: {
+                icon: '◻',
+                label: { tr: 'Profil', en: 'Profile' },
+                summary: {
+                    tr: ' Kariyerim sivil toplum, gazetecilik ve akademinin kesişiminde şekillendi. Proje geliştirme, araştırma ve editoryal üretim odağında çalışıyorum.',
+                    en: 'My career has been shaped at the intersection of civil society, journalism, and academia. I work through project development, research, and writing.'
+                }
+            },
+            // PHOTO SLOT (optional): About hero / portrait — assets/photos/about-portrait.jpg
+            // PHOTO SLOT (optional): Fieldwork / newsroom / research vibe — assets/photos/about-field.jpg
+            body: {
+                tr: [
+                    'Kariyerim sivil toplum, gazetecilik ve akademinin kesiştiği yerde şekillendi.',
+                    'Teyit\'te proje geliştirme yöneticisi olarak çalıştığım yıllarda bilgi düzensizliği alanında hibe başvuruları hazırladım ve projeleri yönettim. Doğrulama, dijital medya okuryazarlığı ve iklim dezenformasyonu gibi alanlarda projelerin her adımıyla ilgilendim; fikir aşamasından uygulamaya ve raporlamaya kadar. Bu süreçte yanlış bilginin nasıl üretilip yayıldığını, kamusal tartışmaların nasıl şekillendiğini anlamaya çalıştım.',
+                    'Öncesinde Hrant Dink Vakfı\'nda Medyada Nefret Söyleminin İzlenmesi projesinde, proje koordinatörü olarak çalıştım. Sivil toplumda gönüllülükten profesyonelliğe geçişin ilk adımını burada attım; nefret söylemi, söylem analizi, medya izleme ve ekip yönetimi konularında deneyim kazandım. Bu deneyim, hem proje geliştirme alanındaki hem de daha sonra bilgi düzensizliği ve dezenformasyon alanlarındaki çalışmalarımın temelini oluşturdu.',
+                    'Aynı dönemde Koç Üniversitesi\'nde Tasarım, Teknoloji ve Toplum programında yüksek lisans yaptım. Akademiyi; sahada karşılaştığım sorunları yeniden düşünebildiğim, öğrenmeye devam edebildiğim bir alan olarak görüyorum. Bu sayede yaptığım işe teorik çerçeveler ve güncel araştırmalarla derinlik katabiliyorum.',
+                    'Uzun yıllardır yazı, araştırma ve çeviri üzerinden ilerleyen bir başka şapkam var. Bunu NewsLab, Journo ve genç gazetecilik programları gibi yerlerde geliştirdim. Gazetecilik insanlarla konuşmayı, problemleri tespit etmeyi, karmaşık bilgiyi anlamlandırmayı, farklı bağlamlar arasında köprü kurmayı öğretti. Son dönemde katıldığım fellowship programıyla edindiğim çözüm gazeteciliği perspektifiyle, bir sorunu tespit ettikten sonra çözüme giden katmanları bütünlüklü görebilir hale geldim.',
+                    'Kısacası kariyerim tek bir çizgide ilerlemedi; yazı, akademi ve sivil toplum arasında ortak bir üretim zemini kurdum.'
+                ],
+                en: [
+                    'My career has been shaped at the intersection of civil society, journalism, and academia.',
+                    'During my years as Head of Project Development at Teyit, I prepared grant applications and managed projects in the field of information disorder. I worked on all stages of projects in areas such as fact-checking, digital media literacy, and climate disinformation—from concept development to implementation and reporting. Throughout this process, I worked to understand how misinformation is produced and spread, and how public discourse is shaped.',
+                    'Previously, I worked as Project Coordinator at the Hrant Dink Foundation on the Media Hate Speech Monitoring project. This was where I made the transition from volunteering to professional work in civil society. I gained experience in hate speech, discourse analysis, media monitoring, and team management. This experience formed the foundation for my later work in project development and in the fields of information disorder and disinformation.',
+                    'During the same period, I completed a master\'s degree in the Design, Technology and Society program at Koç University. I view academia as a space where I can reconsider problems I encounter in the field and continue learning. This allows me to add depth to my work through theoretical frameworks and current research.',
+                    'For many years, I have maintained another area of work centered on writing, research, and translation. I developed this through work at places like NewsLab, Journo, and youth journalism programs. Journalism taught me to speak with people, identify problems, make sense of complex information, and build connections between different contexts. Recently, through a fellowship program in solutions journalism, I developed the ability to see the layers leading to solutions after identifying a problem.',
+                    'In short, my career has not followed a single path. I have built a common ground for work across writing, academia, and civil society.'
+                ]
+            }
+        },
+
+        // ----------------------------------------
+        // Experience
+        // ----------------------------------------
+        {
+            id: 'experience',
+            kind: 'experience',
+            navigable: true,
+            title: { tr: 'Deneyim', en: 'Experience' },
+            card: {
+                icon: '◆',
+                label: { tr: 'Kariyer', en: 'Career' },
+                summary: {
+                    tr: 'Sivil toplumda araştırma koordinasyonu ve proje yönetimi süreçlerini üstlendim. Bilgi düzensizliği, medya okuryazarlığı ve nefret söylemi alanlarına odaklanıyorum.',
+                    en: 'Project development, research coordination, editorial work in civil society. Information disorder, media literacy, hate speech monitoring.'
+                }
+            },
+            items: [
+                {
+                    id: 'teyit',
+                    period: { start: 2022, end: 2025 },
+                    // PHOTO SLOT (optional): Team / workshop / event photo — assets/photos/teyit-team.jpg
+                    text: {
+                        tr: {
+                            role: 'Proje Geliştirme Yöneticisi',
+                            organization: 'Teyit',
+                            paragraphs: [
+                                'Ana sorumluluğum kurumun stratejik hedefleriyle uyumlu işbirlikleri kurmak, projeler tasarlamak ve hayata geçirmekti. Hibe başvurularını hazırladım, fon bulma süreçlerini yönettim, kabul edilen projelerin uygulamasını ekiple birlikte yürüttüm. Bu pozisyon sayesinde birçok farklı kişi ve kurumla işbirliği geliştirme fırsatı buldum.',
+                                'Fikir aşamasından proje yazımına, ortaklıkların kurulmasından uygulamaya kadar tüm geliştirme süreçlerinde rol aldım. Bu dönemde iklim dezenformasyonu, yeşil aklama, eleştirel medya okuryazarlığı ve seçim dönemlerinde yayılan yanlış bilgilere yönelik, bütçeleri 10 bin ile 100 bin dolar arasında değişen 18 projeyi yönettim. Bu projeler hem ulusal hem uluslararası 14 farklı hibe veren kurum tarafından desteklendi. Teyit adına ulusal ve uluslararası paydaş ilişkilerini yürüttüm. Aynı zamanda editoryal ekibin süpervizyonunda doğrulama ve uzun soluklu araştırma yazıları ürettim.',
+                                'Bu rolde yalnızca yeni projeler üretmekle kalmadım; Teyit\'te hangi fikirlerin hayata geçirilip geçirilmeyeceğine karar vermek de sorumluluklarım arasındaydı. Kurumsal kapasite, ekip yükü ve kamusal etki arasındaki dengeyi göz önünde tutarak önceliklendirme yaptım. Proje geliştirmeyi kısa vadeli fon bulmanın ötesine taşıyarak Teyit\'in kurumsal hibe stratejisini oluşturmaya çalıştım.'
+                            ],
+                            tags: ['Proje tasarımı ve yazımı', 'Proje koordinasyonu', 'Etkinlik organizasyonu', 'Hibe stratejisi', 'Uluslararası ortaklıklar', 'Editoryal denetim', 'Ekip yönetimi', 'Metodoloji takibi', 'Bütçe yönetimi', 'Araştırma', 'Kurumsal kapasite geliştirme', 'Doğrulama']
+                        },
+                        en: {
+                            role: 'Head of Project Development',
+                            organization: 'Teyit',
+                            paragraphs: [
+                                'My main responsibility was to establish partnerships aligned with the organization\'s strategic goals, design projects, and implement them. I prepared grant applications, managed fundraising processes, and implemented approved projects together with the team. This position gave me the opportunity to develop collaborations with many different people and organizations.',
+                                'I participated in all development processes, from concept to project writing, from establishing partnerships to implementation. During this period, I managed 18 projects on climate disinformation, greenwashing, critical media literacy, and misinformation spread during elections, with budgets ranging from $10,000 to $100,000. These projects were supported by 14 different national and international funding organizations. I managed national and international stakeholder relations on behalf of Teyit. I also produced fact-checking and long-form research articles under the supervision of the editorial team.',
+                                'In this role, I not only developed new projects but also made decisions about which ideas would be implemented at Teyit. I prioritized by considering the balance between institutional capacity, team workload, and public impact. I worked to develop Teyit\'s institutional grant strategy, moving project development beyond short-term fundraising.'
+                            ],
+                            tags: ['Project design and writing', 'Project coordination', 'Event organization', 'Grant strategy', 'International partnerships', 'Editorial supervision', 'Team management', 'Methodology monitoring', 'Budget management', 'Research', 'Institutional capacity development', 'Fact-checking']
+                        }
+                    }
+                },
+                {
+                    id: 'genc-hayat',
+                    period: { start: 2022, end: 2022 },
+                    // PHOTO SLOT (optional): Field / youth program / training photo — assets/photos/genc-hayat-field.jpg
+                    text: {
+                        tr: {
+                            role: 'Proje Geliştirme Sorumlusu',
+                            organization: 'Genç Hayat Vakfı',
+                            paragraphs: [
+                                'Genç Hayat Vakfı\'nın misyonuna paralel şekilde gençlik çalışmaları ve eğitim odaklı projelerin geliştirilmesi üzerine çalıştım. Özellikle mevsimlik tarım işçilerinin çocuklarına yönelik projelerde çocuk hakları, çocuk işçiliği ve dijital okuryazarlık gibi konulara odaklandım.',
+                                'Bu pozisyon, proje tasarımı ve başvuru süreçleri konusunda becerilerimi geliştirdiğim bir dönem oldu. Kurumun yürüttüğü Erasmus+ projelerinin koordinasyonunu üstlendim; uygulama süreçlerine katıldım ve yurt dışı partnerlerle ilişkilerin geliştirilmesinde rol aldım.',
+                                'Genç Hayat Vakfı\'nın saha çalışmalarına katılarak projelerin hayattaki etkisini doğrudan gözlemledim; masa başında tasarlanan projelerle, sahada asıl ihtiyaçlar arasındaki farkı net görmemi sağladı. Sonraki yıllarda proje tasarımına daha gerçekçi yaklaşmamın temeli burada atıldı.'
+                            ],
+                            tags: ['Saha çalışmaları', 'Proje tasarımı ve yazımı', 'Proje koordinasyonu', 'Uluslararası ortaklıklar', 'Ekip yönetimi', 'Etkinlik organizasyonu', 'Gençlik çalışmaları']
+                        },
+                        en: {
+                            role: 'Project Development Officer',
+                            organization: 'Genç Hayat Vakfı',
+                            paragraphs: [
+                                'I worked on developing projects focused on youth work and education in line with the foundation\'s mission. I focused on topics such as children\'s rights, child labor, and digital literacy, particularly in projects for children of seasonal agricultural workers.',
+                                'This position was a period when I developed my skills in project design and application processes. I coordinated the foundation\'s Erasmus+ projects, participated in implementation processes, and contributed to developing relationships with international partners.',
+                                'By participating in Genç Hayat Vakfı\'s field work, I directly observed the real-world impact of projects. This allowed me to clearly see the difference between projects designed at a desk and actual needs in the field. The foundation for my more realistic approach to project design in later years was established here.'
+                            ],
+                            tags: ['Field work', 'Project design and writing', 'Project coordination', 'International partnerships', 'Team management', 'Event organization', 'Youth work']
+                        }
+                    }
+                },
+                {
+                    id: 'hrant-dink',
+                    period: { start: 2019, end: 2022 },
+                    // PHOTO SLOT (optional): Research / archive / event photo — assets/photos/hrant-dink-research.jpg
+                    text: {
+                        tr: {
+                            role: 'Proje Koordinatörü/Araştırma Koordinatörü',
+                            organization: 'Hrant Dink Vakfı',
+                            paragraphs: [
+                                'Hrant Dink Vakfı\'nda araştırma koordinatörlüğüyle başlayarak farklı rollerde çalıştım. Araştırma Koordinatörü olarak Medyada Nefret Söyleminin İzlenmesi projesinin araştırma sürecinin yürütülmesinden, metodolojik uygunluğun denetlenmesinden ve yıllık raporlarının hazırlanmasından sorumluydum. Bu süreçte nefret söylemi ve medya izleme alanında, söylem analizi ve metodoloji odaklı bir çalışma pratiği geliştirdim.',
+                                'Proje kapsamında gönüllülerin günlük izleme süreçlerini yönettim ve söylem analizi yöntemlerine yönelik eğitimler verdim. Bilgi Üniversitesi\'yle yürütülen iş birliğinin sürdürülmesinde rol aldım; izleme ve analizler sonucunda üretilen bulguların kamuoyuna doğru ve bağlamına uygun biçimde aktarılmasına katkı sundum. Proje süresince etkinlik organizasyonlarına da katkı verdim.',
+                                'Sonrasında terfi alarak Proje Koordinatörü rolünü üstlendim. Bu pozisyonla birlikte bütçe takibi ve hibe verenlerle ilişkilerin yönetilmesinden sorumlu oldum. Proje ekibini koordine etme ve proje süreçlerinin tümünü yönetme deneyimi kazandım. Hibe yazımı ve başvuru süreçleriyle ilgili tecrübelerimi burada kazanmaya başladım.',
+                                'Sabancı Üniversitesi\'ndeki yüksek lisans eğitimim devam ederken vakıfta yarı zamanlı olarak çalıştım. Bu süreçte Sabancı Üniversitesi ve Boğaziçi Üniversitesi konsorsiyumunda yürütülen bir projede görev aldım; metodolojinin üretilmesi ve Hrant Dink Vakfı\'nın yaklaşımının araştırma süreçlerine doğru aktarılması üzerine çalıştım.',
+                                'Farklı roller arasında geçiş yapmak, araştırma, uygulama ve koordinasyon becerilerini geliştirmemi sağladı.'
+                            ],
+                            tags: ['Araştırma metodolojisi', 'Medya izleme', 'Proje koordinasyonu', 'Ekip ve gönüllü yönetimi', 'Bütçe takibi', 'Hibe yazımı', 'Etkinlik organizasyonu', 'Nefret Söylemi', 'Ayrımcılıkla mücadele']
+                        },
+                        en: {
+                            role: 'Project Coordinator / Research Coordinator',
+                            organization: 'Hrant Dink Foundation',
+                            paragraphs: [
+                                'I worked in different roles at the Hrant Dink Foundation, starting as Research Coordinator. As Research Coordinator, I was responsible for managing the research process of the Media Hate Speech Monitoring project, supervising methodological compliance, and preparing annual reports. During this process, I developed a work practice focused on discourse analysis and methodology in the fields of hate speech and media monitoring.',
+                                'Within the project, I managed the daily monitoring processes of volunteers and provided training on discourse analysis methods. I participated in maintaining the collaboration with Bilgi University and contributed to communicating findings from monitoring and analysis to the public in an accurate and contextually appropriate manner. I also contributed to event organization during the project.',
+                                'I was later promoted to Project Coordinator. With this position, I became responsible for budget tracking and managing relationships with funders. I gained experience in coordinating the project team and managing all project processes. I began gaining experience in grant writing and application processes here.',
+                                'While my master\'s education at Sabancı University continued, I worked part-time at the foundation. During this time, I worked on a project conducted by a consortium of Sabancı University and Boğaziçi University, focusing on methodology development and accurately transferring the Hrant Dink Foundation\'s approach to research processes.',
+                                'Moving between different roles allowed me to develop research, implementation, and coordination skills.'
+                            ],
+                            tags: ['Research methodology', 'Media monitoring', 'Project coordination', 'Team and volunteer management', 'Budget tracking', 'Grant writing', 'Event organization', 'Hate speech', 'Anti-discrimination work']
+                        }
+                    }
+                }
+            ]
+        },
+
+        // ----------------------------------------
+        // Education
+        // ----------------------------------------
+        {
+            id: 'education',
+            kind: 'education',
+            navigable: true,
+            title: { tr: 'Eğitim', en: 'Education' },
+            card: {
+                icon: '◇',
+                label: { tr: 'Eğitim', en: 'Education' },
+                summary: {
+                    tr: 'Siyaset bilimi ve Türkiye çalışmaları üzerine eğitim aldım. Teknoloji ve toplum ilişkisini, teori ve pratiği birleştirerek ele alıyorum.',
+                    en: 'Political science, Turkish studies, design–technology–society. Bringing theory into practice.'
+                }
+            },
+            items: [
+                {
+                    id: 'koc',
+                    period: { start: 2023, end: 2026 },
+                    // PHOTO SLOT (optional): Campus / research / abstract image — assets/photos/koc-campus.jpg
+                    text: {
+                        tr: {
+                            institution: 'Koç Üniversitesi',
+                            area: 'Tasarım, Teknoloji ve Toplum',
+                            degree: 'Yüksek Lisans',
+                            paragraphs: [
+                                'Koç Üniversitesi\'nde Tasarım, Teknoloji ve Toplum programında yüksek lisans yapıyorum. Program, dijital teknolojileri yalnızca teknik araçlar olarak değil; insanların teknolojiyle kurduğu ilişki, deneyim tasarımı ve hizmet tasarımı gibi alanlar üzerinden uygulamalı, teorik ve eleştirel bir çerçeve sunuyor.',
+                                'Suncem Koçer\'in süpervizyonunda Türkiye\'deki doğrulama kuruluşları ekosistemi üzerine karşılaştırmalı analiz yapan bir tez yazıyorum.'
+                            ]
+                        },
+                        en: {
+                            institution: 'Koç University',
+                            area: 'Design, Technology and Society',
+                            degree: 'Master\'s Degree',
+                            paragraphs: [
+                                'I am completing a master\'s degree in the Design, Technology and Society program at Koç University. The program offers an applied, theoretical, and critical framework that examines digital technologies not only as technical tools but through areas such as the relationship people establish with technology, experience design, and service design.',
+                                'I am writing a thesis on a comparative analysis of the fact-checking organization ecosystem in Turkey under the supervision of Suncem Koçer.'
+                            ]
+                        }
+                    }
+                },
+                {
+                    id: 'sabanci',
+                    period: { start: 2019, end: 2021 },
+                    text: {
+                        tr: {
+                            institution: 'Sabancı Üniversitesi',
+                            area: 'Türkiye Çalışmaları',
+                            degree: 'Yüksek Lisans',
+                            paragraphs: [
+                                'Sabancı Üniversitesi Türkiye Çalışmaları yüksek lisans programında eğitim aldım. Bu süreçte Ersin Kalaycıoğlu, Fuat Keyman ve Mert Moral gibi isimlerden Türkiye siyaseti, siyasal tarih ve araştırma yöntemleri üzerine akademik bir altyapı edindim.',
+                                'Bu dönemde İstanbul Politikalar Merkezi\'nde staj yaparak araştırmanın politika tartışmalarıyla nasıl kesiştiğini yakından gözlemledim. Tezimi yazmadan programdan ayrıldım.'
+                            ]
+                        },
+                        en: {
+                            institution: 'Sabancı University',
+                            area: 'Turkish Studies',
+                            degree: 'Master\'s Degree',
+                            paragraphs: [
+                                'I studied in the Turkish Studies master\'s program at Sabancı University. During this period, I gained academic background in Turkish politics, political history, and research methods from scholars including Ersin Kalaycıoğlu, Fuat Keyman, and Mert Moral.',
+                                'During this period, I interned at Istanbul Policy Center and observed how research intersects with policy discussions. I left the program before writing my thesis.'
+                            ]
+                        }
+                    }
+                },
+                {
+                    id: 'yeditepe',
+                    period: { start: 2013, end: 2018 },
+                    text: {
+                        tr: {
+                            institution: 'Yeditepe Üniversitesi',
+                            area: 'Siyaset Bilimi ve Uluslararası İlişkiler',
+                            degree: 'Lisans',
+                            paragraphs: [
+                                'Siyaset Bilimi ve Uluslararası İlişkiler lisans programını tamamladım. Program, siyasal teori, karşılaştırmalı siyaset ve uluslararası ilişkiler ekseninde analitik düşünme ve metin okuma becerileri üzerine kuruluydu. Lisans eğitimim boyunca Cengiz Erişen, Cemil Oktay gibi akademisyenlerden demokrasi ve Türkiye siyasi hayatına dair dersler aldım.',
+                                'Bitirme tezinde Cengiz Erişen\'in süpervizyonunda popülizm kavramını merkeze alarak Türkiye\'de siyasal söylem ve demokrasi ilişkisini inceledim; siyasal dil ve kutuplaşma konularına ilgimin temeli bu dönemde şekillendi.'
+                            ]
+                        },
+                        en: {
+                            institution: 'Yeditepe University',
+                            area: 'Political Science and International Relations',
+                            degree: 'Bachelor\'s Degree',
+                            paragraphs: [
+                                'I completed the Political Science and International Relations undergraduate program. The program was built on analytical thinking and text reading skills, focusing on political theory, comparative politics, and international relations.',
+                                'In my thesis, I examined the relationship between political discourse and democracy in Turkey, focusing on the concept of populism under the supervision of Cengiz Erişen. My interest in political language and polarization was formed during this period.'
+                            ]
+                        }
+                    }
+                }
+            ]
+        },
+
+        // ----------------------------------------
+        // Programs & Fellowship (shown inside Experience)
+        // ----------------------------------------
+        {
+            id: 'skills',
+            kind: 'fellowship',
+            mergeInto: 'experience',
+            title: { tr: 'Programlar & Fellowship', en: 'Programs & Fellowship' },
+            items: [
+                {
+                    id: 'solutions-journalism',
+                    period: { start: 2023, end: 2023 },
+                    // PHOTO SLOT (optional): Fellowship / conference / group photo — assets/photos/solution-journalism.jpg
+                    text: {
+                        tr: {
+                            title: 'Çözüm Gazeteciliği Bursu',
+                            organization: 'Solutions Journalism Network & European Journalism Centre',
+                            paragraphs: [
+                                'İklim odaklı çözüm gazeteciliği üzerine yapılandırılmış bir fellowship programına seçildim. Program, yalnızca sorunları teşhis etmeye değil; çözümlerin hangi koşullarda işe yaradığını araştıran ve bunu anlatıya dönüştüren bir yaklaşımı merkeze aldı. Bu eğitim kapsamında çözüm gazeteciliği perspektifiyle içerikler ürettim, Avrupa\'daki gazetecilerle tanışma fırsatı yakaladım.'
+                            ]
+                        },
+                        en: {
+                            title: 'Solutions Journalism Fellow',
+                            organization: 'Solutions Journalism Network & European Journalism Centre',
+                            paragraphs: [
+                                'I was selected for a fellowship program structured around climate-focused solutions journalism. The program centered on an approach that investigates not only how to diagnose problems but also under what conditions solutions work, and how to turn this into a narrative. As part of this training, I produced content from a solutions journalism perspective and had the opportunity to meet journalists in Europe.'
+                            ]
+                        }
+                    }
+                }
+            ]
+        },
+
+        // ----------------------------------------
+        // Projects
+        // ----------------------------------------
+        {
+            // Project ids are URL slugs (#/en/projects/<id>): keep them stable.
+            // text.funder, optional text.partners and the media list are
+            // also shown in the detail overlay.
+            id: 'projects',
+            kind: 'project',
+            navigable: true,
+            title: { tr: 'Projeler', en: 'Projects' },
+            card: {
+                icon: '▲',
+                label: { tr: 'Projeler', en: 'Work' },
+                summary: {
+                    tr: 'Bilgi düzensizliği, medya okuryazarlığı ve iklim dezenformasyonu alanlarında yürüttüğüm seçili projeler.',
+                    en: 'Information disorder, media literacy, climate disinformation. Methodologies, roles, outcomes.'
+                }
+            },
+            items: [
+                {
+                    id: 'greenwashing-watch',
+                    period: { start: 2024, end: 2024 },
+                    // PHOTO SLOT (optional): Project key visual / microsite screenshot — assets/photos/greenwashing-watch.jpg
+                    text: {
+                        tr: {
+                            title: 'Yeşil Aklama İzleme Projesi',
+                            funder: 'Teyit / European Climate Foundation',
+                            paragraphs: [
+                                'Projenin odaklandığı konu, şirketlerin çevreci görünmek için kullandığı yeşil söylemlerle gerçek uygulamaları arasındaki farkın çoğu zaman görünmez kalmasıydı. Bu çerçevede Türkiye bağlamında yeşil iddiaların arka planının incelenmesi için uygun bir "yeşil aklama" metodolojisi geliştirilmesine katkı verdim ve süreci koordine ettim. Proje için açılacak kampanya mikro sitesinin UX tasarımına katkı sundum. Projenin hibe veren ilişkilerini yönettim ve raporlamalarını yaptım.'
+                            ],
+                            tags: ['Proje tasarımı', 'Metodoloji geliştirme', 'Koordinasyon', 'Editoryal denetim']
+                        },
+                        en: {
+                            title: 'Greenwashing Watch',
+                            funder: 'European Climate Foundation',
+                            paragraphs: [
+                                'The project focused on the fact that the gap between the environmental language companies use to appear environmentally friendly and their actual practices often remains invisible. Within this framework, I contributed to developing an appropriate "greenwashing" methodology for examining the background of environmental claims in the Turkish context and coordinated the process. I contributed to the UX design of the campaign microsite for the project. I managed the project\'s funder relations and prepared reports.'
+                            ],
+                            tags: ['Project design', 'Methodology development', 'Coordination', 'Editorial supervision']
+                        }
+                    }
+                },
+                {
+                    id: 'seniors-media-literacy',
+                    period: { start: 2025, end: 2026 },
+                    // PHOTO SLOT (optional): Training / workshop / material photo — assets/photos/seniors-media-literacy.jpg
+                    text: {
+                        tr: {
+                            title: 'Yaşlılar için Medya Okuryazarlığı Projesi',
+                            funder: 'Teyit / International Fact-Checking Network',
+                            partners: ['Impact Hub', 'Üçüncü Bahar', 'Ankara Bilim Üniversitesi'],
+                            paragraphs: [
+                                'Teyit\'in 2025\'te yaşlı bireylere yönelik geliştirdiği eleştirel dijital medya okuryazarlığı projesi, Impact Hub, Üçüncü Bahar ve Ankara Bilim Üniversitesi işbirliğinde yapıldı.. Önce anket yöntemiyle araştırma yaptık, ardından eğitimler düzenledik ve destek masası kurduk.',
+                                'Projenin uygulanma sürecinde farklı koşullar altında yeniden tasarladım, işbirlikleri kurdum ve IFCN ile ilişkisini yönettim.'
+                            ],
+                            tags: ['Proje yazımı ve koordinasyon', 'Anket uygulanması', 'Raporlama', 'Paydaş yönetimi']
+                        },
+                        en: {
+                            title: 'Media Literacy Training for Seniors',
+                            funder: 'International Fact-Checking Network',
+                            partners: ['Impact Hub', 'Üçüncü Bahar', 'Ankara Bilim University'],
+                            paragraphs: [
+                                'Teyit\'s critical digital media literacy project for older adults in 2025 was conducted in collaboration with Impact Hub, Üçüncü Bahar, and Ankara Bilim University. We first conducted research using surveys, then organized training sessions and established a support desk.',
+                                'During the implementation phase, I redesigned the project under different conditions, established collaborations, and managed the relationship with IFCN.'
+                            ],
+                            tags: ['Project writing and coordination', 'Survey implementation', 'Reporting', 'Stakeholder management']
+                        }
+                    }
+                },
+                {
+                    id: 'urban-legends',
+                    period: { start: 2024, end: 2024 },
+                    // PHOTO SLOT (optional): Article thumbnail / illustration / cover — assets/photos/urban-legends.jpg
+                    text: {
+                        tr: {
+                            title: 'Şehir Efsaneleri',
+                            funder: 'Teyit / Friedrich Naumann Vakfı',
+                            paragraphs: [
+                                'Şehir efsaneleri projesi Teyit\'in ürettiği içerik türlerinden biriydi. Bu içerik türü, çocukluktan gelen kişisel inançları sorgulamaya yaradığı için 2024 yılında tekrar uygulandı. Şehir efsaneleri masum anlatılar gibi görünse de önyargı ve korkuları yeniden üretiyor. Projenin koordinasyonunu üstlendim ve uzun format yazılarla içerik üretimine katkı sundum.'
+                            ],
+                            tags: ['Proje geliştirme', 'Editoryal çerçeveleme', 'İçerik üretimi']
+                        },
+                        en: {
+                            title: 'Urban Legends Project',
+                            funder: 'Teyit / Friedrich Naumann Foundation',
+                            paragraphs: [
+                                'The urban legends project was one of the content types Teyit produced. This content type was implemented again in 2024 because it helps question personal beliefs from childhood. Although urban legends appear to be innocent narratives, they reproduce prejudices and fears. I coordinated the project and contributed to content production with long-form articles.'
+                            ],
+                            tags: ['Project development', 'Editorial framing', 'Content production']
+                        }
+                    }
+                },
+                {
+                    id: 'hate-speech-screening',
+                    period: { start: 2021, end: 2021 },
+                    // PHOTO SLOT (optional): Method diagram / dashboard / abstract visual — assets/photos/hate-speech-ai.jpg
+                    text: {
+                        tr: {
+                            title: 'Yapay Zeka ile Nefret Söylemi Tespiti Projesi (Hate Speech Screening via Deep Learning)',
+                            funder: 'Hrant Dink Vakfı / Avrupa Birliği',
+                            paragraphs: [
+                                'Hrant Dink Vakfı\'nın 2009\'da başlayan medya izleme çalışmasının devamı olarak, günümüz teknolojisiyle yeniden üretilip nefret söyleminin tespiti için uygulanan bir projeydi. Nefret söylemi izleme çalışmaları, ölçek büyüdükçe manuel yöntemlerle sürdürülemez hale geliyor. Metodolojinin uygulanması ve yapay zekanın geliştirilmesi için çalıştım. Derin öğrenme tabanlı tespit ile söylem analizini birleştiren bir metodoloji içinde araştırma ve koordinasyon rolü üstlendim.'
+                            ],
+                            tags: ['Metodoloji koordinasyonu', 'Araştırma', 'Raporlama']
+                        },
+                        en: {
+                            title: 'Hate Speech Screening via Deep Learning',
+                            funder: 'Hrant Dink Foundation / European Union',
+                            paragraphs: [
+                                'This project was a continuation of the Hrant Dink Foundation\'s media monitoring work that began in 2009, reimplemented with current technology for detecting hate speech. Hate speech monitoring work becomes unsustainable with manual methods as scale increases. I worked on implementing the methodology and developing the AI system. I took on research and coordination roles within a methodology that combined deep learning-based detection with discourse analysis.'
+                            ],
+                            tags: ['Methodology coordination', 'Research', 'Reporting']
+                        }
+                    }
+                },
+                {
+                    id: 'statement-checking',
+                    period: { start: 2022, end: 2023 },
+                    // PHOTO SLOT (optional): Election / newsroom / workflow visual — assets/photos/statement-checking.jpg
+                    text: {
+                        tr: {
+                            title: 'Demeç Kontrolü',
+                            funder: 'Teyit / Internews',
+                            paragraphs: [
+                                'Demeç kontrolü projesinin metodolojisinin geliştirilmesi için 2023 seçimleri öncesinde çalıştım. Projenin koordinasyonunun haricinde stajyerlerin eğitilmesi ve editoryal süreçlerin yönetilmesi için çaba gösterdim. Siyasi söylemleri izleyip doğrulama yazılarıyla analiz ettim, bulguları raporladım.'
+                            ],
+                            tags: ['Proje ve metodoloji koordinasyonu', 'Araştırma', 'Uygulama', 'Editoryal katkı', 'Raporlama']
+                        },
+                        en: {
+                            title: 'Statement-checking Project',
+                            funder: 'Teyit / Internews',
+                            paragraphs: [
+                                'I worked on developing the methodology for the statement-checking project before the 2023 elections. In addition to coordinating the project, I worked on training interns and managing editorial processes. I monitored political statements, analyzed them through fact-checking articles, and reported findings.'
+                            ],
+                            tags: ['Project and methodology coordination', 'Research', 'Implementation', 'Editorial contribution', 'Reporting']
+                        }
+                    }
+                }
+            ]
+        },
+
+        // ----------------------------------------
+        // Contact
+        // ----------------------------------------
+        {
+            id: 'contact',
+            kind: 'contact',
+            navigable: true,
+            title: { tr: 'İletişim', en: 'Contact' },
+            card: {
+                icon: '●',
+                label: { tr: 'İletişim', en: 'Reach' },
+                summary: {
+                    tr: 'Yeni projeler ve işbirliklerine açığım.',
+                    en: 'Open to new projects and collaborations.'
+                }
+            },
+            // PHOTO SLOT (optional): minimal portrait / signature mark — usually not needed. Keep contact clean.
+            links: [
+                { type: 'email', href: 'mailto:emircansac@gmail.com', label: 'emircansac@gmail.com' },
+                { type: 'linkedin', href: 'https://www.linkedin.com/in/emircan-sa%C3%A7-941212207/', label: 'LinkedIn' },
+                { type: 'github', href: 'https://github.com/emircansac', label: 'GitHub' }
+            ],
+            otherLinks: {
+                href: 'https://linktr.ee/Emircan.Sac',
+                label: 'linktr.ee/Emircan.Sac',
+                prefix: { tr: 'Diğer bağlantılar:', en: 'Other links:' }
+            },
+            note: {
+                tr: 'Yeni projeler ve işbirlikleri için ulaşabilirsiniz.',
+                en: 'You can reach me for new projects and collaborations.'
+            }
+        }
+    ]
+};
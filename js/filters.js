@@ -0,0 +1,213 @@
+// ============================================
+// Tag Filtering
+// ============================================
+
+// Clicking a .tag shows only the entries carrying that tag, across all
+// sections. Filtering changes content height, which changes whether wheel
+// input scrolls vertically or navigates horizontally: canScrollVertically()
+// is evaluated per wheel event, and the scroll hints are refreshed here.
+
+const FILTERABLE_ITEM_SELECTOR = '.project-item, .experience-item, .education-item';
+
+let activeTagFilter = null; // { key, label } of the tag currently filtered on
+let tagFilterBar = null;
+
+/**
+ * Normalizes tag text for comparison
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeTagText(text) {
+    return text.replace(/\s+/g, ' ').trim().toLocaleLowerCase(getLocale());
+}
+
+/**
+ * Checks if an element belongs to the language block currently shown
+ * @param {HTMLElement} element
+ * @returns {boolean}
+ */
+function isInActiveLanguage(element) {
+    const block = element.closest('[data-lang]');
+    return !block || block.dataset.lang === document.documentElement.lang;
+}
+
+/**
+ * Filters all entries down to those carrying a tag
+ * @param {string} tagText - Visible text of the clicked tag
+ */
+function applyTagFilter(tagText) {
+    const key = normalizeTagText(tagText);
+    activeTagFilter = { key, label: tagText.replace(/\s+/g, ' ').trim() };
+
+    let matchCount = 0;
+
+    document.querySelectorAll('.section-content').forEach((content) => {
+        const items = Array.from(content.querySelectorAll(FILTERABLE_ITEM_SELECTOR));
+        if (!items.length) {
+            return; // About/Contact: nothing to filter
+        }
+
+        let visibleInSection = 0;
+        items.forEach((item) => {
+            const itemTags = Array.from(item.querySelectorAll('.tag')).map((tag) => normalizeTagText(tag.textContent));
+            const matches = itemTags.includes(key);
+            item.classList.toggle('is-filtered-out', !matches);
+            if (matches && isInActiveLanguage(item)) {
+                visibleInSection++;
+            }
+        });
+        matchCount += visibleInSection;
+
+        let emptyNote = content.querySelector('.tag-filter-empty');
+        if (!visibleInSection) {
+            if (!emptyNote) {
+                emptyNote = document.createElement('p');
+                emptyNote.className = 'tag-filter-empty';
+                const heading = content.querySelector('h1');
+                content.insertBefore(emptyNote, heading ? heading.nextSibling : content.firstChild);
+            }
+            emptyNote.textContent = t('tagFilter.empty');
+        } else if (emptyNote) {
+            emptyNote.remove();
+        }
+
+        // Matching entries may sit far below the old scroll position
+        content.scrollTop = 0;
+    });
+
+    document.querySelectorAll('.section-content .tag').forEach((tag) => {
+        const isActive = normalizeTagText(tag.textContent) === key;
+        tag.classList.toggle('is-active', isActive);
+        tag.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+    });
+
+    logEvent('tag_filter', { tag: activeTagFilter.label, matchCount });
+
+    updateTagFilterBar(matchCount);
+    refreshScrollHints();
+}
+
+/**
+ * Removes the active tag filter and shows all entries again
+ */
+function clearTagFilter() {
+    if (!activeTagFilter) {
+        return;
+    }
+    activeTagFilter = null;
+
+    document.querySelectorAll('.is-filtered-out').forEach((item) => item.classList.remove('is-filtered-out'));
+    document.querySelectorAll('.tag-filter-empty').forEach((note) => note.remove());
+    document.querySelectorAll('.section-content .tag').forEach((tag) => {
+        tag.classList.remove('is-active');
+        tag.setAttribute('aria-pressed', 'false');
+    });
+
+    logEvent('tag_filter', { tag: null });
+
+    updateTagFilterBar(0);
+    refreshScrollHints();
+}
+
+/**
+ * Toggles the filter for a tag (clicking the active tag clears it)
+ * @param {HTMLElement} tag - The .tag element
+ */
+function toggleTagFilter(tag) {
+    if (activeTagFilter && activeTagFilter.key === normalizeTagText(tag.textContent)) {
+        clearTagFilter();
+        return;
+    }
+    applyTagFilter(tag.textContent);
+}
+
+/**
+ * Shows or hides the active-filter bar
+ * @param {number} matchCount - Number of visible entries
+ */
+function updateTagFilterBar(matchCount) {
+    if (!tagFilterBar) {
+        return;
+    }
+    if (!activeTagFilter) {
+        tagFilterBar.hidden = true;
+        document.body.classList.remove('has-tag-filter');
+        return;
+    }
+
+    tagFilterBar.querySelector('.tag-filter-label').textContent = t('tagFilter.label');
+    tagFilterBar.querySelector('.tag-filter-value').textContent = activeTagFilter.label;
+    tagFilterBar.querySelector('.tag-filter-count').textContent = t('tagFilter.count', { count: matchCount });
+    const clearButton = tagFilterBar.querySelector('.tag-filter-clear');
+    clearButton.textContent = t('tagFilter.clear');
+    clearButton.setAttribute('aria-label', t('tagFilter.clearLabel'));
+    tagFilterBar.hidden = false;
+    document.body.classList.add('has-tag-filter');
+}
+
+/**
+ * Builds the active-filter bar
+ * @returns {HTMLElement}
+ */
+function createTagFilterBar() {
+    const bar = document.createElement('div');
+    bar.className = 'tag-filter-bar';
+    bar.setAttribute('role', 'status');
+    bar.hidden = true;
+
+    const label = document.createElement('span');
+    label.className = 'tag-filter-label';
+    const value = document.createElement('span');
+    value.className = 'tag tag-filter-value';
+    const count = document.createElement('span');
+    count.className = 'tag-filter-count';
+    const clearButton = document.createElement('button');
+    clearButton.type = 'button';
+    clearButton.className = 'tag-filter-clear';
+    clearButton.addEventListener('click', clearTagFilter);
+
+    bar.appendChild(label);
+    bar.appendChild(value);
+    bar.appendChild(count);
+    bar.appendChild(clearButton);
+    return bar;
+}
+
+/**
+ * Makes rendered tags operable as toggle buttons (also after re-rendering)
+ */
+function prepareFilterTags() {
+    document.querySelectorAll('.section-content .tag').forEach((tag) => {
+        tag.setAttribute('role', 'button');
+        tag.setAttribute('tabindex', '0');
+        tag.setAttribute('aria-pressed', 'false');
+    });
+}
+
+/**
+ * Makes tags operable and wires filter events
+ */
+function initTagFilters() {
+    prepareFilterTags();
+
+    tagFilterBar = createTagFilterBar();
+    const container = document.querySelector('.cv-container');
+    if (container) {
+        container.appendChild(tagFilterBar);
+    }
+
+    sectionsWrapper.addEventListener('click', (event) => {
+        const tag = event.target instanceof Element ? event.target.closest('.section-content .tag') : null;
+        if (tag) {
+            toggleTagFilter(tag);
+        }
+    });
+
+    sectionsWrapper.addEventListener('keydown', (event) => {
+        const tag = event.target instanceof Element ? event.target.closest('.section-content .tag') : null;
+        if (tag && (event.key === 'Enter' || event.key === ' ')) {
+            event.preventDefault();
+            toggleTagFilter(tag);
+        }
+    });
+}
@@ -0,0 +1,225 @@
+// ============================================
+// Internationalization (dictionaries, fallbacks, formatting)
+// ============================================
+
+// UI strings live in per-locale dictionaries (js/locales/<code>.js) keyed by
+// message ID; CV text lives in js/content.js. Adding a language means:
+//   1. js/locales/<code>.js  → registerLocale('<code>', { ... })
+//   2. a content file        → registerContentLocale('<code>', { ... })
+//   3. both <script> tags in index.html, before js/render.js
+// Lookups walk a fallback chain (e.g. de-AT → de → en → tr), so a partial
+// dictionary or partial content still renders.
+
+const I18N_DEFAULT_LOCALE = 'tr';
+const I18N_FALLBACK_LOCALES = ['en', 'tr']; // Tried after the locale and its base language
+
+const i18nLocales = {}; // code → { name, dictionary }
+const i18nMissingReported = new Set();
+
+/**
+ * Registers a UI locale
+ * @param {string} code - BCP 47 language code, e.g. 'de'
+ * @param {{name: string, dictionary: Object<string, *>}} locale - name: native language name ("Deutsch")
+ */
+function registerLocale(code, locale) {
+    i18nLocales[code] = {
+        name: locale.name || code,
+        dictionary: Object.assign({}, i18nLocales[code] ? i18nLocales[code].dictionary : {}, locale.dictionary)
+    };
+}
+
+/**
+ * Lists registered locales in registration order
+ * @returns {string[]}
+ */
+function getAvailableLocales() {
+    return Object.keys(i18nLocales);
+}
+
+/**
+ * @param {string} code
+ * @returns {boolean} True if the locale can be switched to
+ */
+function isSupportedLocale(code) {
+    return typeof code === 'string' && Object.prototype.hasOwnProperty.call(i18nLocales, code);
+}
+
+/**
+ * Gets the native name of a locale
+ * @param {string} code
+ * @returns {string}
+ */
+function getLocaleName(code) {
+    return i18nLocales[code] ? i18nLocales[code].name : code;
+}
+
+/**
+ * Picks the best registered locale for a list of requested languages
+ * (e.g. navigator.languages). Each request is tried exactly, then by its
+ * base language ('en-US' → 'en'), before moving to the next one.
+ * @param {readonly string[]} requested - In order of preference
+ * @returns {string|null} Registered locale code, or null if none match
+ */
+function negotiateLocale(requested) {
+    const available = getAvailableLocales();
+    const lower = available.map((code) => code.toLowerCase());
+    for (const tag of requested || []) {
+        if (typeof tag !== 'string' || !tag) continue;
+        const wanted = tag.toLowerCase();
+        const base = wanted.split('-')[0];
+        const exact = lower.indexOf(wanted);
+        if (exact !== -1) return available[exact];
+        const baseMatch = lower.indexOf(base);
+        if (baseMatch !== -1) return available[baseMatch];
+    }
+    return null;
+}
+
+/**
+ * Gets the active locale (the <html lang> attribute)
+ * @returns {string}
+ */
+function getLocale() {
+    return document.documentElement.lang || I18N_DEFAULT_LOCALE;
+}
+
+/**
+ * Builds the lookup order for a locale
+ * @param {string} code - e.g. 'de-AT'
+ * @returns {string[]} e.g. ['de-AT', 'de', 'en', 'tr']
+ */
+function getLocaleFallbackChain(code) {
+    const chain = [];
+    const add = (candidate) => {
+        if (candidate && !chain.includes(candidate)) chain.push(candidate);
+    };
+    add(code);
+    if (code && code.includes('-')) add(code.split('-')[0]);
+    I18N_FALLBACK_LOCALES.forEach(add);
+    add(I18N_DEFAULT_LOCALE);
+    return chain;
+}
+
+/**
+ * Replaces {name} placeholders; numbers are formatted for the locale
+ * @param {string} message
+ * @param {Object<string, *>} params
+ * @param {string} locale
+ * @returns {string}
+ */
+function interpolateMessage(message, params, locale) {
+    return message.replace(/\{(\w+)\}/g, (match, name) => {
+        if (!(name in params)) return match;
+        const value = params[name];
+        return typeof value === 'number' ? formatNumber(value, undefined, locale) : String(value);
+    });
+}
+
+/**
+ * Translates a message ID.
+ * Messages are strings with {placeholders}, or plural objects keyed by
+ * Intl.PluralRules categories ({ one, other, ... }) selected by params.count.
+ * @param {string} messageId - e.g. 'tagFilter.count'
+ * @param {Object<string, *>} [params]
+ * @param {string} [locale] - Defaults to the active locale
+ * @returns {string} Translation, or the message ID if no locale has it
+ */
+function t(messageId, params = {}, locale = getLocale()) {
+    const chain = getLocaleFallbackChain(locale);
+    for (const code of chain) {
+        const dictionary = i18nLocales[code] && i18nLocales[code].dictionary;
+        if (!dictionary || !(messageId in dictionary)) continue;
+
+        let message = dictionary[messageId];
+        if (message && typeof message === 'object') {
+            const category = new Intl.PluralRules(code).select(Number(params.count) || 0);
+            message = message[category] !== undefined ? message[category] : message.other;
+        }
+        return interpolateMessage(String(message), params, code);
+    }
+
+    if (!i18nMissingReported.has(messageId)) {
+        i18nMissingReported.add(messageId);
+        logEvent('i18n_missing', { messageId, locale });
+    }
+    return messageId;
+}
+
+/**
+ * Formats a number for the locale
+ * @param {number} value
+ * @param {Intl.NumberFormatOptions} [options]
+ * @param {string} [locale]
+ * @returns {string}
+ */
+function formatNumber(value, options, locale = getLocale()) {
+    return new Intl.NumberFormat(locale, options).format(value);
+}
+
+/**
+ * Formats a date for the locale
+ * @param {Date|number|string} date
+ * @param {Intl.DateTimeFormatOptions} [options]
+ * @param {string} [locale]
+ * @returns {string}
+ */
+function formatDate(date, options, locale = getLocale()) {
+    const value = date instanceof Date ? date : new Date(date);
+    return new Intl.DateTimeFormat(locale, options).format(value);
+}
+
+/**
+ * Applies translations to static markup: [data-i18n] sets the text,
+ * [data-i18n-aria-label] / [data-i18n-title] set those attributes
+ * @param {ParentNode} [root]
+ */
+function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach((element) => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-aria-label]').forEach((element) => {
+        element.setAttribute('aria-label', t(element.dataset.i18nAriaLabel));
+    });
+    root.querySelectorAll('[data-i18n-title]').forEach((element) => {
+        element.setAttribute('title', t(element.dataset.i18nTitle));
+    });
+}
+
+/**
+ * Adds a content language: merges its text into the localized fields of
+ * CV_CONTENT. Entries are matched by section and item id, so the content
+ * file only lists text, not structure.
+ * @param {string} code - Language code
+ * @param {{ui?: Object, sections?: Object<string, Object>}} translation
+ *   sections: { <sectionId>: { title, card: { label, summary }, body,
+ *   items: { <itemId>: { ...text fields } }, note, otherLinksPrefix } }
+ */
+function registerContentLocale(code, translation) {
+    if (!CV_CONTENT.languages.includes(code)) {
+        CV_CONTENT.languages.push(code);
+    }
+
+    const ui = translation.ui || {};
+    Object.keys(ui).forEach((key) => {
+        if (CV_CONTENT.ui[key]) CV_CONTENT.ui[key][code] = ui[key];
+    });
+
+    const sections = translation.sections || {};
+    CV_CONTENT.sections.forEach((section) => {
+        const text = sections[section.id];
+        if (!text) return;
+        if (text.title) section.title[code] = text.title;
+        if (text.body && section.body) section.body[code] = text.body;
+        if (text.card && section.card) {
+            if (text.card.label) section.card.label[code] = text.card.label;
+            if (text.card.summary) section.card.summary[code] = text.card.summary;
+        }
+        if (text.note && section.note) section.note[code] = text.note;
+        if (text.otherLinksPrefix && section.otherLinks) section.otherLinks.prefix[code] = text.otherLinksPrefix;
+        if (text.items && section.items) {
+            section.items.forEach((item) => {
+                if (text.items[item.id]) item.text[code] = text.items[item.id];
+            });
+        }
+    });
+}
@@ -0,0 +1,209 @@
+// ============================================
+// Input Device Classification & Tuning Profiles
+// ============================================
+
+// A notched mouse wheel, a precision trackpad and a Magic Mouse emit very
+// different wheel streams, so one set of thresholds cannot suit all three.
+// Each wheel burst (events without a pause of INPUT_BURST_END_MS) is
+// classified from deltaMode, delta sizes and cadence, and the matching
+// profile's thresholds are handed to the navigation state machine:
+//
+//   mouse        deltaMode line/page, or whole-number deltas of one notch
+//                size (or multiples of it); no momentum, so no lockouts
+//   trackpad     varied deltas, fractional or small, with horizontal drift
+//   magic-mouse  varied (momentum) deltas, strictly vertical, large peaks
+//
+// Until a burst has been classified the trackpad profile applies (the
+// original, most defensive thresholds). Profiles can be tuned, or one
+// forced, with a config object set before js/main.js loads:
+//   window.CV_CONFIG = {
+//       input: {
+//           profile: 'mouse',                          // 'auto' (default) or a profile name
+//           profiles: { trackpad: { postNavLockMs: 300 } }
+//       }
+//   };
+//
+// classifyWheelBurst is pure and loads headless in Node (see module.exports
+// at the end); tests/input-profiles.test.js classifies sample bursts.
+
+const INPUT_PROFILES = {
+    trackpad: {
+        cooldownMs: 100,      // Minimum ms between horizontal navigations
+        postNavLockMs: 250,   // Lockout after a navigation, absorbs momentum
+        burstGapMs: 120,      // Pause that starts a new intentional burst
+        scrollTolerance: 8    // px from the top/bottom that counts as the boundary
+    },
+    mouse: {
+        cooldownMs: 80,       // Absorbs the extra events of a fast multi-notch flick
+        postNavLockMs: 80,
+        burstGapMs: 0,        // Every notch is deliberate
+        scrollTolerance: 8
+    },
+    'magic-mouse': {
+        cooldownMs: 100,
+        postNavLockMs: 400,   // Longer momentum tails than a trackpad
+        burstGapMs: 180,
+        scrollTolerance: 12   // Coarser deltas overshoot the boundary more
+    }
+};
+const DEFAULT_INPUT_PROFILE = 'trackpad';
+
+const INPUT_BURST_END_MS = 300; // A pause this long ends a burst
+const INPUT_CLASSIFY_MIN_EVENTS = 4; // Continuous bursts need this many events to classify
+const INPUT_BURST_WINDOW = 32; // Opening events of a burst the classifier looks at
+const MOUSE_NOTCH_MIN_DELTA = 50; // px; smallest delta one notch produces in pixel mode
+const MAGIC_MOUSE_MIN_PEAK = 60; // px; trackpads rarely peak this high without horizontal drift
+
+let activeInputProfileName = DEFAULT_INPUT_PROFILE;
+let inputBurst = []; // { deltaMode, deltaX, deltaY } of the current burst's opening events
+let inputBurstLastTime = 0; // Last event of the current burst, including those past the window
+let lastClassifiedWheelEvent = null; // Card mode routes the same event twice
+
+/**
+ * Reads the input settings from window.CV_CONFIG
+ * @returns {{profile?: string, profiles?: Object<string, Object>}}
+ */
+function getInputConfig() {
+    const config = window.CV_CONFIG || {};
+    return config.input || {};
+}
+
+/**
+ * Gets a profile's thresholds, with CV_CONFIG overrides applied
+ * @param {string} [name] - Defaults to the active profile
+ * @returns {{cooldownMs: number, postNavLockMs: number, burstGapMs: number, scrollTolerance: number}}
+ */
+function getInputProfile(name = activeInputProfileName) {
+    const overrides = getInputConfig().profiles || {};
+    return Object.assign({}, INPUT_PROFILES[name], overrides[name]);
+}
+
+/**
+ * @returns {string|null} The profile CV_CONFIG forces, or null for automatic classification
+ */
+function getForcedInputProfile() {
+    const profile = getInputConfig().profile;
+    return profile && profile !== 'auto' && INPUT_PROFILES[profile] ? profile : null;
+}
+
+/**
+ * Makes a profile active and hands its thresholds to the navigation state machine
+ * @param {string} name - A key of INPUT_PROFILES
+ * @param {string} reason - Why it changed (logged)
+ */
+function applyInputProfile(name, reason) {
+    const previous = activeInputProfileName;
+    activeInputProfileName = name;
+    const profile = getInputProfile(name);
+    navState.configure({
+        cooldownMs: profile.cooldownMs,
+        postNavLockMs: profile.postNavLockMs,
+        burstGapMs: profile.burstGapMs
+    });
+    logEvent('input_profile', { from: previous, to: name, reason });
+}
+
+/**
+ * Classifies a wheel burst
+ * @param {Object[]} samples - { deltaMode, deltaX, deltaY } in arrival order
+ * @param {boolean} complete - The burst has ended (short bursts can only be judged then)
+ * @returns {string|null} Profile name, or null if the burst does not tell yet
+ */
+function classifyWheelBurst(samples, complete) {
+    if (!samples.length) return null;
+
+    // Line and page deltas only come from notched wheels
+    if (samples.some((sample) => sample.deltaMode !== 0)) {
+        return 'mouse';
+    }
+
+    const magnitudes = samples.map((sample) => Math.abs(sample.deltaY)).filter((magnitude) => magnitude > 0);
+    if (!magnitudes.length) return null;
+    const smallest = Math.min(...magnitudes);
+    const notched = smallest >= MOUSE_NOTCH_MIN_DELTA &&
+        magnitudes.every((magnitude) => Number.isInteger(magnitude) && magnitude % smallest === 0);
+
+    // A notch or two is a whole burst for a mouse; a trackpad never stops that short
+    if (notched && (complete || samples.length >= 2)) {
+        return 'mouse';
+    }
+    if (samples.length < INPUT_CLASSIFY_MIN_EVENTS) {
+        return null;
+    }
+
+    const drifts = samples.some((sample) => sample.deltaX !== 0);
+    const fractional = samples.some((sample) => !Number.isInteger(sample.deltaY));
+    if (!drifts && !fractional && Math.max(...magnitudes) >= MAGIC_MOUSE_MIN_PEAK) {
+        return 'magic-mouse';
+    }
+    return 'trackpad';
+}
+
+/**
+ * Feeds one wheel event to the classifier; switches profile when a burst
+ * classifies as a different device. Forced profiles are never switched.
+ * A burst is judged on its first INPUT_BURST_WINDOW events (the onset and
+ * peak tell the devices apart), so a long momentum tail costs nothing more.
+ * @param {WheelEvent} event
+ */
+function classifyWheelEvent(event) {
+    if (event === lastClassifiedWheelEvent || getForcedInputProfile()) return;
+    lastClassifiedWheelEvent = event;
+
+    const now = navClock.now();
+    let device = null;
+
+    if (inputBurst.length && now - inputBurstLastTime >= INPUT_BURST_END_MS) {
+        device = classifyWheelBurst(inputBurst, true);
+        inputBurst = [];
+    }
+    inputBurstLastTime = now;
+    if (inputBurst.length < INPUT_BURST_WINDOW) {
+        inputBurst.push({ deltaMode: event.deltaMode, deltaX: event.deltaX, deltaY: event.deltaY });
+        device = classifyWheelBurst(inputBurst, false) || device;
+    }
+
+    if (device && device !== activeInputProfileName) {
+        applyInputProfile(device, 'classified');
+    }
+}
+
+/**
+ * Clears the classifier and switches to a profile (replays, tests)
+ * @param {string} [name] - Defaults to the forced or default profile
+ */
+function resetInputClassifier(name) {
+    inputBurst = [];
+    lastClassifiedWheelEvent = null;
+    const profile = INPUT_PROFILES[name] ? name : (getForcedInputProfile() || DEFAULT_INPUT_PROFILE);
+    applyInputProfile(profile, 'reset');
+}
+
+/**
+ * @returns {string} Name of the active profile
+ */
+function getActiveInputProfileName() {
+    return activeInputProfileName;
+}
+
+/**
+ * Applies the forced or default profile
+ */
+function initInputProfiles() {
+    const requested = getInputConfig().profile;
+    const forced = getForcedInputProfile();
+    if (requested && requested !== 'auto' && !forced) {
+        logEvent('input_profile', { reason: 'unknown-profile', requested }, 'warn');
+    }
+    applyInputProfile(forced || DEFAULT_INPUT_PROFILE, forced ? 'config' : 'default');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        INPUT_PROFILES,
+        DEFAULT_INPUT_PROFILE,
+        INPUT_CLASSIFY_MIN_EVENTS,
+        INPUT_BURST_WINDOW,
+        classifyWheelBurst
+    };
+}
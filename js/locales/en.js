@@ -0,0 +1,66 @@
+// ============================================
+// Locale: English (en)
+// ============================================
+
+// UI strings only; CV text lives in js/content.js. See js/i18n.js.
+
+registerLocale('en', {
+    name: 'English',
+    dictionary: {
+        'language.switchLabel': 'Switch to English',
+        'theme.toggleLabel': 'Theme: {theme} (change)',
+        'theme.system': 'system',
+        'theme.light': 'light',
+        'theme.dark': 'dark',
+        'theme.high-contrast': 'high contrast',
+        'identity.writing': 'Writing',
+        'navCard.label': 'Go to {section} section',
+        'scrollHint': 'Scroll for details ↓',
+        'progress.segmentLabel': '{section}: {percent} read',
+        'progress.nextCue': 'Keep scrolling for {section} →',
+
+        'toolbar.downloadPdf': 'Download PDF',
+        'toolbar.downloadJson': 'Download JSON',
+        'toolbar.importJson': 'Import JSON',
+
+        'tagFilter.label': 'Tag:',
+        'tagFilter.count': { one: '{count} entry', other: '{count} entries' },
+        'tagFilter.clear': 'Clear',
+        'tagFilter.clearLabel': 'Clear tag filter',
+        'tagFilter.empty': 'No entries in this section match this tag.',
+
+        'search.label': 'Search the CV',
+        'search.placeholder': 'Search roles, projects, tags…',
+        'search.empty': 'No results.',
+        'search.footer': '↑↓ select · Enter go · Esc close',
+
+        'timeline.show': 'Show timeline',
+        'timeline.hide': 'Hide timeline',
+        'timeline.work': 'Work',
+        'timeline.education': 'Education',
+
+        'project.open': 'Details',
+        'project.openLabel': 'Details: {title}',
+        'project.close': 'Close',
+        'project.period': 'Period',
+        'project.funder': 'Funder',
+        'project.partners': 'Partners',
+        'project.pagerLabel': 'Projects',
+        'project.previous': 'Previous',
+        'project.next': 'Next',
+        'project.position': '{index} / {count}',
+
+        'media.enlarge': 'Enlarge image: {description}',
+        'media.lightboxLabel': 'Image viewer',
+        'media.close': 'Close',
+        'media.previous': 'Previous image',
+        'media.next': 'Next image',
+        'media.position': '{index} / {count}',
+
+        'resume.imported': { one: 'Imported {count} entry.', other: 'Imported {count} entries.' },
+        'resume.invalid': 'Could not read the file: not a valid JSON Resume file.',
+
+        'print.titleSuffix': 'CV',
+        'meta.ogLocale': 'en_US'
+    }
+});
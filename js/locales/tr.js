@@ -0,0 +1,66 @@
+// ============================================
+// Locale: Turkish (tr)
+// ============================================
+
+// UI strings only; CV text lives in js/content.js. See js/i18n.js.
+
+registerLocale('tr', {
+    name: 'Türkçe',
+    dictionary: {
+        'language.switchLabel': 'Türkçeye geç',
+        'theme.toggleLabel': 'Tema: {theme} (değiştir)',
+        'theme.system': 'sistem',
+        'theme.light': 'açık',
+        'theme.dark': 'koyu',
+        'theme.high-contrast': 'yüksek kontrast',
+        'identity.writing': 'Yazılar',
+        'navCard.label': '{section} bölümüne git',
+        'scrollHint': 'Detaylar için kaydır ↓',
+        'progress.segmentLabel': '{section}: {percent} okundu',
+        'progress.nextCue': '{section} için kaydırmaya devam et →',
+
+        'toolbar.downloadPdf': 'PDF indir',
+        'toolbar.downloadJson': 'JSON indir',
+        'toolbar.importJson': 'JSON yükle',
+
+        'tagFilter.label': 'Etiket:',
+        'tagFilter.count': { other: '{count} kayıt' },
+        'tagFilter.clear': 'Temizle',
+        'tagFilter.clearLabel': 'Etiket filtresini temizle',
+        'tagFilter.empty': 'Bu bölümde bu etiketle eşleşen kayıt yok.',
+
+        'search.label': 'CV içinde ara',
+        'search.placeholder': 'Ara: rol, proje, etiket…',
+        'search.empty': 'Sonuç bulunamadı.',
+        'search.footer': '↑↓ seç · Enter git · Esc kapat',
+
+        'timeline.show': 'Zaman çizelgesini göster',
+        'timeline.hide': 'Zaman çizelgesini gizle',
+        'timeline.work': 'İş',
+        'timeline.education': 'Eğitim',
+
+        'project.open': 'Detaylar',
+        'project.openLabel': 'Detaylar: {title}',
+        'project.close': 'Kapat',
+        'project.period': 'Dönem',
+        'project.funder': 'Destekleyen',
+        'project.partners': 'Ortaklar',
+        'project.pagerLabel': 'Projeler',
+        'project.previous': 'Önceki',
+        'project.next': 'Sonraki',
+        'project.position': '{index} / {count}',
+
+        'media.enlarge': 'Görseli büyüt: {description}',
+        'media.lightboxLabel': 'Görsel görüntüleyici',
+        'media.close': 'Kapat',
+        'media.previous': 'Önceki görsel',
+        'media.next': 'Sonraki görsel',
+        'media.position': '{index} / {count}',
+
+        'resume.imported': { other: '{count} kayıt içe aktarıldı.' },
+        'resume.invalid': 'Dosya okunamadı: geçerli bir JSON Resume dosyası değil.',
+
+        'print.titleSuffix': 'Özgeçmiş',
+        'meta.ogLocale': 'tr_TR'
+    }
+});
@@ -0,0 +1,406 @@
+// ============================================
+// Navigation Event Log (levels, ring buffer, sinks, debug HUD)
+// ============================================
+
+// Diagnostics are typed events, not free-form console lines:
+//   logEvent('nav_start', { index, source })
+// Every event that meets the buffer level is kept in a ring buffer
+// (LOG_BUFFER_SIZE entries) and handed to each sink whose level it meets.
+// Debug mode is off by default and toggled from the URL:
+//   ?debug=1             debug-level console output + the on-screen HUD
+//   ?debug=trace         also per-frame events (section probes)
+//   ?debug=1&logSink=<url>  also POST events to a local HTTP collector
+//                           (loopback hosts only; any other URL is refused)
+//   ?debug=0             back to normal (the choice is remembered in localStorage)
+// From the console: setDebugMode('debug'), getLogEntries({ type: 'nav_start' }).
+// Warnings and errors always reach the console.
+
+const LOG_LEVELS = { trace: 0, debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_BUFFER_SIZE = 500;
+const LOG_HTTP_FLUSH_MS = 1000;
+// A crafted link must not send a visitor's events elsewhere: collectors run on this machine
+const LOG_COLLECTOR_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+const DEBUG_HUD_EVENT_COUNT = 6; // Latest events listed in the HUD
+
+// Known event types and their default level
+const LOG_EVENT_TYPES = {
+    layout: 'debug',           // Wrapper sizing, snap policy
+    section_registry: 'debug', // Section declarations resolved (order, navigable, merges)
+    section_check: 'debug',    // Section DOM verification
+    section_probe: 'trace',    // getCurrentSection (runs on every scroll)
+    wheel_enter: 'debug',      // Wheel event reached the router
+    wheel_native: 'debug',     // Wheel left to the browser (vertical scroll, outside content)
+    scroll_blocked: 'debug',   // Input absorbed: lock, cooldown, momentum, overlay
+    nav_intent: 'debug',       // Input resolved into a navigation
+    nav_step: 'debug',         // Next/previous resolved to an index
+    nav_rejected: 'debug',     // Navigation not started (already navigating, at an edge)
+    nav_start: 'info',
+    nav_complete: 'info',      // Lock released: how the scroll ended (scrollend, settled, timeout)
+    nav_correction: 'warn',    // Scroll stopped away from the target, jumping there
+    mode_change: 'info',       // Card ↔ section
+    nav_transition: 'debug',   // Navigation state machine event (rejected ones at warn)
+    input_profile: 'info',     // Wheel device classified, tuning profile switched
+    input_suspended: 'debug',
+    input_resumed: 'debug',
+    lang_init: 'info',
+    lang_switch: 'info',
+    theme: 'info',             // Theme chosen from the toggle
+    reading_progress: 'debug', // Section read, next-section boundary reached
+    route_sync: 'debug',
+    route_apply: 'debug',
+    metadata: 'debug',
+    tag_filter: 'debug',
+    search: 'debug',
+    timeline: 'debug',
+    project: 'debug',          // Project overlay opened, closed
+    media: 'debug',            // Lightbox opened/closed, image failed to load (warn)
+    print: 'debug',
+    resume: 'debug',           // Exported, imported; applying an import failed (error)
+    resume_import_error: 'warn', // Imported file rejected (nothing was changed)
+    i18n_missing: 'warn',      // Message ID in no locale of the fallback chain
+    log_sink: 'info',          // HTTP collector attached, or refused (warn)
+    wheel_trace: 'info'        // Recording started/stopped, replay results
+};
+
+const logBuffer = []; // Ring buffer, oldest first once full
+let logBufferStart = 0;
+let logSequence = 0;
+const logSinks = new Map(); // name → { level, write(entry) }
+const logUnknownTypesReported = new Set();
+let logBufferLevel = 'info';
+let debugHud = null;
+let debugHudFrame = null;
+let debugToolsReady = false; // The HUD reads main.js state, so it waits for initDebugTools
+
+/**
+ * @param {*} name
+ * @returns {boolean} True if name is a key of LOG_LEVELS
+ */
+function isLogLevel(name) {
+    return typeof name === 'string' && Object.prototype.hasOwnProperty.call(LOG_LEVELS, name);
+}
+
+/**
+ * Reads the debug level from ?debug= (stored for later visits) or localStorage
+ * @returns {string|null} Log level name, or null when debug mode is off
+ */
+function readDebugSetting() {
+    let requested = null;
+    try {
+        requested = new URLSearchParams(window.location.search).get('debug');
+    } catch (error) {
+        requested = null;
+    }
+
+    if (requested !== null) {
+        const level = isLogLevel(requested) ? requested : (/^(0|false|off)$/.test(requested) ? null : 'debug');
+        try {
+            if (level) localStorage.setItem('debug', level);
+            else localStorage.removeItem('debug');
+        } catch (error) {
+            // Storage unavailable (private mode): the URL still applies to this visit
+        }
+        return level;
+    }
+
+    try {
+        const stored = localStorage.getItem('debug');
+        return isLogLevel(stored) ? stored : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/** True while debug mode is on; guard expensive log payloads with it */
+let DEBUG_NAV = false;
+
+// ============================================
+// Sinks
+// ============================================
+
+/**
+ * Writes events to the browser console
+ * @param {string} level - Minimum level
+ * @returns {{level: string, write: function(Object): void}}
+ */
+function createConsoleLogSink(level) {
+    return {
+        level,
+        write(entry) {
+            const method = entry.level === 'error' ? 'error' : (entry.level === 'warn' ? 'warn' : 'log');
+            console[method](`[${entry.type}]`, entry.data);
+        }
+    };
+}
+
+/**
+ * Keeps events in an array (tests, replays, copying a session out)
+ * @param {string} level - Minimum level
+ * @param {number} [limit] - Oldest entries are dropped past this
+ * @returns {{level: string, entries: Object[], write: function(Object): void}}
+ */
+function createMemoryLogSink(level, limit = LOG_BUFFER_SIZE) {
+    const sink = {
+        level,
+        entries: [],
+        write(entry) {
+            sink.entries.push(entry);
+            if (sink.entries.length > limit) sink.entries.shift();
+        }
+    };
+    return sink;
+}
+
+/**
+ * POSTs batches of events as JSON to a collector, e.g. a local ingest server:
+ * { sessionId, events: [...] }. Failures are dropped silently.
+ * @param {string} url
+ * @param {string} level - Minimum level
+ * @returns {{level: string, write: function(Object): void, flush: function(): void}}
+ */
+function createHttpLogSink(url, level) {
+    const sessionId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    let pending = [];
+    let flushTimer = null;
+
+    const sink = {
+        level,
+        write(entry) {
+            pending.push(entry);
+            if (!flushTimer) flushTimer = setTimeout(sink.flush, LOG_HTTP_FLUSH_MS);
+        },
+        flush() {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+            if (!pending.length) return;
+            const body = JSON.stringify({ sessionId, events: pending });
+            pending = [];
+            fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body, keepalive: true })
+                .catch(() => {});
+        }
+    };
+    window.addEventListener('pagehide', sink.flush);
+    return sink;
+}
+
+/**
+ * Registers (or replaces) a sink
+ * @param {string} name
+ * @param {{level: string, write: function(Object): void}} sink
+ */
+function addLogSink(name, sink) {
+    logSinks.set(name, sink);
+}
+
+/**
+ * @param {string} name
+ */
+function removeLogSink(name) {
+    logSinks.delete(name);
+}
+
+// ============================================
+// Logging
+// ============================================
+
+/**
+ * Records a typed event
+ * @param {string} type - A key of LOG_EVENT_TYPES
+ * @param {Object} [data]
+ * @param {string} [level] - Overrides the type's default level
+ */
+function logEvent(type, data = {}, level) {
+    if (!(type in LOG_EVENT_TYPES) && !logUnknownTypesReported.has(type)) {
+        logUnknownTypesReported.add(type);
+        console.warn('[LOG] Unknown event type:', type);
+    }
+    const entryLevel = level || LOG_EVENT_TYPES[type] || 'debug';
+    const rank = LOG_LEVELS[entryLevel];
+    const toBuffer = rank >= LOG_LEVELS[logBufferLevel];
+    const sinks = Array.from(logSinks.values()).filter((sink) => rank >= LOG_LEVELS[sink.level]);
+    if (!toBuffer && !sinks.length) return;
+
+    const entry = {
+        seq: ++logSequence,
+        time: Math.round(performance.now()),
+        level: entryLevel,
+        type,
+        data
+    };
+
+    if (toBuffer) {
+        if (logBuffer.length < LOG_BUFFER_SIZE) {
+            logBuffer.push(entry);
+        } else {
+            logBuffer[logBufferStart] = entry;
+            logBufferStart = (logBufferStart + 1) % LOG_BUFFER_SIZE;
+        }
+    }
+    sinks.forEach((sink) => {
+        try {
+            sink.write(entry);
+        } catch (error) {
+            // A broken sink must never break navigation
+        }
+    });
+}
+
+/**
+ * Reads the ring buffer, oldest first
+ * @param {{type?: string, level?: string, since?: number}} [filter] - since: sequence number
+ * @returns {Object[]}
+ */
+function getLogEntries(filter = {}) {
+    const ordered = logBuffer.slice(logBufferStart).concat(logBuffer.slice(0, logBufferStart));
+    return ordered.filter((entry) =>
+        (!filter.type || entry.type === filter.type) &&
+        (!filter.level || LOG_LEVELS[entry.level] >= LOG_LEVELS[filter.level]) &&
+        (!filter.since || entry.seq > filter.since));
+}
+
+/**
+ * Turns debug mode on (at a level) or off at runtime
+ * @param {string|boolean} level - 'trace' | 'debug' | true (= 'debug') | false
+ */
+function setDebugMode(level) {
+    const debugLevel = level === true ? 'debug' : (isLogLevel(level) ? level : null);
+    DEBUG_NAV = !!debugLevel;
+    logBufferLevel = debugLevel || 'info';
+    addLogSink('console', createConsoleLogSink(debugLevel || 'warn'));
+
+    if (debugToolsReady) {
+        if (DEBUG_NAV) showDebugHud();
+        else hideDebugHud();
+    }
+}
+
+// ============================================
+// Debug HUD
+// ============================================
+
+/**
+ * Collects the navigation state shown in the HUD. Reads main.js state
+ * directly (no getCurrentSection call, which would log on every frame).
+ * @returns {Array<[string, string]>} Label/value rows
+ */
+function getDebugHudRows() {
+    const now = navClock.now();
+    const state = navState.getState();
+    const isNavigating = state.phase === 'navigating';
+    const activeIndex = navigableNavButtons.findIndex((button) => button.classList.contains('active'));
+    const sectionIndex = isNavigating ? state.targetIndex : activeIndex;
+    const remaining = (until) => Math.max(0, until - now);
+
+    return [
+        ['navMode', state.mode],
+        ['phase', state.phase],
+        ['navigationSource', String(state.source)],
+        ['section', `${sectionIndex} ${navigableSectionIds[sectionIndex] || '-'}${isNavigating ? ' (target)' : ''}`],
+        ['post-nav lock', `${remaining(state.lockUntil)} ms`],
+        ['cooldown', `${remaining(state.lastInputTime + navState.config.cooldownMs)} ms`],
+        ['fresh burst', `wheel ${state.requiresFreshBurst} · touch ${state.requiresFreshGesture}`],
+        ['input profile', `${getActiveInputProfileName()}${getForcedInputProfile() ? ' (forced)' : ''}`],
+        ['input held by', Array.from(inputRoutingSuspensions).join(', ') || '-'],
+        ['wheel trace', wheelTraceRecording ? `recording, ${wheelTraceRecording.trace.events.length} events` : '-']
+    ];
+}
+
+/**
+ * Redraws the HUD and schedules the next frame
+ */
+function renderDebugHud() {
+    if (!debugHud) return;
+    const state = debugHud.querySelector('.debug-hud-state');
+    const events = debugHud.querySelector('.debug-hud-events');
+
+    state.textContent = '';
+    getDebugHudRows().forEach(([label, value]) => {
+        const term = document.createElement('dt');
+        term.textContent = label;
+        const detail = document.createElement('dd');
+        detail.textContent = value;
+        state.append(term, detail);
+    });
+
+    events.textContent = '';
+    getLogEntries({ level: 'debug' }).slice(-DEBUG_HUD_EVENT_COUNT).reverse().forEach((entry) => {
+        const item = document.createElement('li');
+        item.textContent = `${entry.time} ${entry.type} ${JSON.stringify(entry.data)}`;
+        events.appendChild(item);
+    });
+
+    debugHudFrame = requestAnimationFrame(renderDebugHud);
+}
+
+/**
+ * Shows the live navigation state overlay
+ */
+function showDebugHud() {
+    if (!debugHud) {
+        debugHud = document.createElement('aside');
+        debugHud.className = 'debug-hud';
+        debugHud.setAttribute('aria-hidden', 'true');
+        const state = document.createElement('dl');
+        state.className = 'debug-hud-state';
+        const events = document.createElement('ol');
+        events.className = 'debug-hud-events';
+        debugHud.append(state, events);
+        document.body.appendChild(debugHud);
+    }
+    debugHud.hidden = false;
+    if (debugHudFrame === null) renderDebugHud();
+}
+
+/**
+ * Hides the overlay and stops its redraw loop
+ */
+function hideDebugHud() {
+    if (debugHudFrame !== null) {
+        cancelAnimationFrame(debugHudFrame);
+        debugHudFrame = null;
+    }
+    if (debugHud) debugHud.hidden = true;
+}
+
+/**
+ * Shows the HUD once navigation state exists (called from main.js)
+ */
+function initDebugTools() {
+    debugToolsReady = true;
+    if (DEBUG_NAV) showDebugHud();
+}
+
+/**
+ * @param {string} url - ?logSink= value
+ * @returns {boolean} True for an http(s) URL on a loopback host
+ */
+function isLocalCollectorUrl(url) {
+    try {
+        const parsed = new URL(url, window.location.href);
+        return (parsed.protocol === 'http:' || parsed.protocol === 'https:') &&
+            LOG_COLLECTOR_HOSTS.includes(parsed.hostname);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Sets up sinks from the URL/storage. Runs on load, before any other
+ * script, so early layout events are captured too.
+ */
+function initLogger() {
+    const debugLevel = readDebugSetting();
+    setDebugMode(debugLevel || false);
+
+    const collectorUrl = new URLSearchParams(window.location.search).get('logSink');
+    if (debugLevel && collectorUrl) {
+        if (!isLocalCollectorUrl(collectorUrl)) {
+            logEvent('log_sink', { problem: 'Collector must be on a loopback host, refused', url: collectorUrl }, 'warn');
+            return;
+        }
+        addLogSink('http', createHttpLogSink(collectorUrl, debugLevel));
+        logEvent('log_sink', { url: collectorUrl });
+    }
+}
+
+initLogger();
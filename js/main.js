@@ -13,42 +13,10 @@ let navCardContainer = null;
 let navCardItems = [];
 let navBackdrop = null;
 
-function relocateSkillsSection() {
-    const skillsSection = document.getElementById('skills');
-    const experienceSection = document.getElementById('experience');
-    const skillsContent = skillsSection?.querySelector('.section-content');
-    const experienceContent = experienceSection?.querySelector('.section-content');
-
-    // #region agent log
-    // fetch('http://127.0.0.1:7243/ingest/b7967069-ff3f-4945-b82f-94c4d5d7fcfe',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({sessionId:'debug-session',runId:'run1',hypothesisId:'H2',location:'main.js:20',message:'relocate_skills_enter',data:{hasSkills:!!skillsSection,hasExperience:!!experienceSection,hasSkillsContent:!!skillsContent,hasExperienceContent:!!experienceContent},timestamp:Date.now()})}).catch(()=>{});
-    // #endregion
-
-    if (!skillsSection || !experienceSection || !skillsContent || !experienceContent) {
-        return;
-    }
-
-    while (skillsContent.firstChild) {
-        experienceContent.appendChild(skillsContent.firstChild);
-    }
-
-    skillsSection.style.width = '0';
-    skillsSection.style.minWidth = '0';
-    skillsSection.style.padding = '0';
-    skillsSection.style.border = '0';
-    skillsSection.style.overflow = 'hidden';
-    skillsSection.style.pointerEvents = 'none';
-    skillsSection.style.scrollSnapAlign = 'none';
-    skillsSection.style.scrollSnapStop = 'normal';
-
-    // #region agent log
-    // fetch('http://127.0.0.1:7243/ingest/b7967069-ff3f-4945-b82f-94c4d5d7fcfe',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({sessionId:'debug-session',runId:'run1',hypothesisId:'H2',location:'main.js:44',message:'relocate_skills_exit',data:{skillsWidth:skillsSection.offsetWidth,skillsOffsetLeft:skillsSection.offsetLeft},timestamp:Date.now()})}).catch(()=>{});
-    // #endregion
-}
-
-// Navigable sections (explicit, order-safe)
-const NAVIGABLE_SECTION_IDS = ['about', 'experience', 'education', 'projects', 'contact'];
-const navigableSections = NAVIGABLE_SECTION_IDS
-    .map((id) => allSections.find((section) => section.id === id))
+// Navigable sections, in navigation order, come from the section registry
+// (js/sections.js); render.js built one .cv-section per registry entry
+const navigableSections = getNavigableSectionEntries()
+    .map((entry) => allSections.find((section) => section.id === entry.id))
     .filter(Boolean);
 const navigableSectionIds = navigableSections.map((section) => section.id);
 
@@ -56,7 +24,6 @@ const navigableSectionIds = navigableSections.map((section) => section.id);
 const nonNavigableIds = [];
 allSections.forEach((section) => {
     const isNavigable = navigableSectionIds.includes(section.id);
-    section.dataset.navigable = isNavigable ? 'true' : 'false';
     if (isNavigable) {
         section.style.scrollSnapAlign = 'start';
         section.style.scrollSnapStop = 'always';
@@ -66,57 +33,61 @@ allSections.forEach((section) => {
         nonNavigableIds.push(section.id);
     }
 });
-// #region agent log
-// fetch('http://127.0.0.1:7243/ingest/b7967069-ff3f-4945-b82f-94c4d5d7fcfe',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({sessionId:'debug-session',runId:'run1',hypothesisId:'H1',location:'main.js:33',message:'snap_policy_applied',data:{navigableSectionIds,nonNavigableIds},timestamp:Date.now()})}).catch(()=>{});
-// #endregion
+logEvent('layout', { step: 'snap-policy', navigableSectionIds, nonNavigableIds });
 
+// Each nav button is the tab of the section it controls
 const allNavButtons = Array.from(navButtons);
-const navButtonBySectionId = new Map();
-allNavButtons.forEach((button, index) => {
-    const rawIndex = parseInt(button.dataset.section, 10);
-    const targetIndex = Number.isFinite(rawIndex) ? rawIndex : index;
-    const targetSection = allSections[targetIndex];
-    if (targetSection && NAVIGABLE_SECTION_IDS.includes(targetSection.id)) {
-        navButtonBySectionId.set(targetSection.id, button);
-    }
-});
-const navigableNavButtons = NAVIGABLE_SECTION_IDS
-    .map((id) => navButtonBySectionId.get(id))
+const navigableNavButtons = navigableSectionIds
+    .map((id) => allNavButtons.find((button) => button.getAttribute('aria-controls') === id))
     .filter(Boolean);
 
 // Scroll state management
-let isNavigating = false; // Prevents navigation during scroll animation
-let navigationTimeout = null;
-let lastWheelTime = 0; // Timestamp of last wheel event that triggered navigation
-const WHEEL_COOLDOWN = 100; // Minimum ms between horizontal navigations (debounce fast scrolls)
-let wheelNavLockUntil = 0; // Prevents immediate re-nav after wheel-based scroll completion
-const POST_WHEEL_NAV_LOCK_MS = 250; // Brief lockout to absorb trackpad momentum
-let lastWheelEventTime = 0; // Timestamp of the last wheel event observed
-let wheelNavRequiresFreshBurst = false; // Require a new wheel burst after nav
-const WHEEL_BURST_GAP_MS = 120; // Gap to consider a new intentional wheel burst
-let targetSection = 0; // The section we're navigating to (used during animation)
-let navigationSource = null; // 'wheel' | 'nav' | null
-const DEBUG_NAV = true;
-
-// Navigation mode state
-let navMode = 'card'; // 'card' | 'section'
-
-// CRITICAL FIX: Force wrapper to viewport width so content can overflow
-if (sectionsWrapper && sections.length > 0) {
+// Cooldown, post-navigation lock and burst gap come from the input profile
+// of the device in use (js/input-profiles.js)
+
+// Time source for navigation timing (locks, cooldowns, burst gaps, animation
+// release). The wheel replay harness (js/wheel-trace.js) swaps in a virtual clock.
+const navClock = {
+    now: () => Date.now(),
+    setTimeout: (callback, ms) => window.setTimeout(callback, ms),
+    clearTimeout: (id) => window.clearTimeout(id)
+};
+let forceInstantNavigation = false; // Replay: jump instead of animating (timing is unchanged), so positions follow the virtual clock
+
+// Navigation state (mode, animation lock, input source, lockouts) lives in
+// the state machine from js/nav-state.js and changes only through dispatch().
+// Thresholds start at the defaults; initInputProfiles applies the active profile.
+const navState = createNavStateMachine({ clock: navClock });
+navState.subscribe(({ event, payload, accepted, from, to }) => {
+    logEvent('nav_transition', {
+        event,
+        payload,
+        accepted,
+        from: `${from.mode}/${from.phase}`,
+        to: `${to.mode}/${to.phase}`
+    }, accepted ? undefined : 'warn');
+});
+
+/**
+ * CRITICAL FIX: Force wrapper to viewport width so content can overflow.
+ * Runs at load and again after every viewport change (applyViewportChange).
+ */
+function applyWrapperWidth() {
+    if (!sectionsWrapper || sections.length === 0) {
+        return;
+    }
     const viewportWidth = window.innerWidth;
     sectionsWrapper.style.width = viewportWidth + 'px';
     sectionsWrapper.style.maxWidth = viewportWidth + 'px';
     
-    console.log('[HORIZONTAL SCROLL FIX]', {
+    logEvent('layout', {
+        step: 'wrapper-width',
         viewportWidth: viewportWidth,
         sectionsCount: sections.length,
         expectedScrollWidth: viewportWidth * sections.length
     });
 }
-
-
-/** Tolerance for vertical scroll boundary detection (rounding, padding, image loading) */
-const SCROLL_TOLERANCE = 8;
+applyWrapperWidth();
 
 // ============================================
 // Mobile Detection
@@ -138,6 +109,28 @@ function prefersReducedMotion() {
     return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
 }
 
+/**
+ * Gets a section's position along the navigation axis.
+ * Desktop/tablet: horizontal offset inside .sections-wrapper.
+ * Mobile: sections are stacked, so the vertical page offset is used.
+ * @param {HTMLElement} section - A .cv-section element
+ * @returns {number} Offset in px
+ */
+function getSectionNavOffset(section) {
+    if (isMobile()) {
+        return section.getBoundingClientRect().top + window.scrollY;
+    }
+    return section.offsetLeft;
+}
+
+/**
+ * Gets the current scroll position along the navigation axis
+ * @returns {number} scrollLeft of the wrapper (desktop) or page scrollY (mobile)
+ */
+function getNavScrollPosition() {
+    return isMobile() ? window.scrollY : sectionsWrapper.scrollLeft;
+}
+
 // ============================================
 // Navigation Mode (Card vs Section)
 // ============================================
@@ -147,7 +140,10 @@ function prefersReducedMotion() {
  * @param {'card' | 'section'} mode
  */
 function setNavMode(mode) {
-    navMode = mode;
+    const previousMode = navState.mode;
+    if (mode !== previousMode) {
+        navState.dispatch(mode === 'section' ? 'ENTER_SECTION' : 'RETURN_TO_CARD');
+    }
     document.body.classList.toggle('nav-mode-card', mode === 'card');
     document.body.classList.toggle('nav-mode-section', mode === 'section');
     const sectionNav = document.querySelector('.section-nav');
@@ -157,24 +153,84 @@ function setNavMode(mode) {
     if (navBackdrop) {
         navBackdrop.classList.toggle('is-visible', mode === 'card');
     }
+    if (mode !== previousMode) {
+        logEvent('mode_change', { from: previousMode, to: mode });
+        dispatchCvEvent('navmodechange', { mode, previousMode });
+        scheduleRouteSync();
+    }
 }
 
 /**
- * Transitions from card mode into section mode.
+ * Transitions from card mode into section mode; focus follows into the
+ * section once it is in view.
  * @param {number} [sectionIndex]
+ * @param {Object} [options] - Passed to scrollToSection
+ * @returns {Promise<Object|null>} See scrollToSection; null without a section
  */
-function enterSectionMode(sectionIndex) {
+function enterSectionMode(sectionIndex, options) {
     setNavMode('section');
     if (typeof sectionIndex === 'number') {
-        scrollToSection(sectionIndex);
+        return scrollToSection(sectionIndex, options).then((result) => {
+            if (result) focusSectionContent(result.targetSection);
+            return result;
+        });
     }
+    return Promise.resolve(null);
 }
 
 /**
- * Returns to the centered navigation card.
+ * Returns to the centered navigation card, focusing the current section's card.
  */
 function returnToCardMode() {
     setNavMode('card');
+    focusSectionCard(getCurrentSection());
+}
+
+// ============================================
+// Input Suspension (overlays)
+// ============================================
+
+// Overlays (search, dialogs) own the wheel, keys and swipes while open.
+// Each overlay suspends routing under its own name, so one closing never
+// re-enables input underneath another that is still open.
+const inputRoutingSuspensions = new Set();
+let navigationSettledCallbacks = []; // Run once the current navigation releases its lock
+
+/**
+ * Suspends wheel, keyboard and swipe routing
+ * @param {string} owner - Name of the overlay taking over input
+ */
+function suspendInputRouting(owner) {
+    inputRoutingSuspensions.add(owner);
+    logEvent('input_suspended', { owner });
+}
+
+/**
+ * Releases a suspension taken with suspendInputRouting
+ * @param {string} owner
+ */
+function resumeInputRouting(owner) {
+    inputRoutingSuspensions.delete(owner);
+    logEvent('input_resumed', { owner, stillSuspended: inputRoutingSuspensions.size > 0 });
+}
+
+/**
+ * @returns {boolean} True while any overlay holds input
+ */
+function isInputRoutingSuspended() {
+    return inputRoutingSuspensions.size > 0;
+}
+
+/**
+ * Runs a callback after the current navigation settles (immediately if idle)
+ * @param {function(): void} callback
+ */
+function runWhenNavigationSettles(callback) {
+    if (!navState.isNavigating) {
+        callback();
+        return;
+    }
+    navigationSettledCallbacks.push(callback);
 }
 
 // ============================================
@@ -186,39 +242,46 @@ function returnToCardMode() {
  * @returns {number} Index of the active section (0-5)
  */
 function getCurrentSection() {
-    // #region agent log
-    // fetch('http://127.0.0.1:7243/ingest/b7967069-ff3f-4945-b82f-94c4d5d7fcfe',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({sessionId:'debug-session',runId:'run1',hypothesisId:'H1',location:'main.js:111',message:'getCurrentSection_enter',data:{isNavigating,targetSection,navigableCount:navigableSections.length,navigableSectionIds,scrollLeft:sectionsWrapper?.scrollLeft},timestamp:Date.now()})}).catch(()=>{});
-    // #endregion
-    // During navigation, use targetSection to avoid mid-animation calculation errors
-    if (isNavigating) {
-        return targetSection;
+    // During navigation, use the target index to avoid mid-animation calculation errors
+    if (navState.isNavigating) {
+        return navState.targetIndex;
     }
 
     if (!navigableSections.length) {
         return 0;
     }
 
-    const scrollLeft = sectionsWrapper.scrollLeft;
+    const scrollPosition = getNavScrollPosition();
     let closestIndex = 0;
     let closestDistance = Infinity;
 
-    navigableSections.forEach((section, index) => {
-        const distance = Math.abs(section.offsetLeft - scrollLeft);
-        if (distance < closestDistance) {
-            closestDistance = distance;
-            closestIndex = index;
-        }
-    });
-
-    if (DEBUG_NAV) {
-        console.log('[GET_CURRENT]', {
-            scrollLeft: Math.round(scrollLeft),
-            closestIndex,
-            closestDistance: Math.round(closestDistance),
-            isNavigating
+    if (isMobile()) {
+        // Stacked sections are taller than the viewport: the current one is the
+        // last section whose top has passed the upper third of the screen
+        const readingLine = scrollPosition + window.innerHeight / 3;
+        navigableSections.forEach((section, index) => {
+            if (getSectionNavOffset(section) <= readingLine) {
+                closestIndex = index;
+                closestDistance = Math.abs(getSectionNavOffset(section) - scrollPosition);
+            }
+        });
+    } else {
+        navigableSections.forEach((section, index) => {
+            const distance = Math.abs(section.offsetLeft - scrollPosition);
+            if (distance < closestDistance) {
+                closestDistance = distance;
+                closestIndex = index;
+            }
         });
     }
 
+    logEvent('section_probe', {
+        scrollPosition: Math.round(scrollPosition),
+        closestIndex,
+        closestDistance: Math.round(closestDistance),
+        isNavigating: navState.isNavigating
+    });
+
     return closestIndex;
 }
 
@@ -262,7 +325,7 @@ function canScrollVertically(sectionContent) {
  */
 function isAtTop(sectionContent) {
     if (!sectionContent) return true;
-    return sectionContent.scrollTop <= SCROLL_TOLERANCE;
+    return sectionContent.scrollTop <= getInputProfile().scrollTolerance;
 }
 
 /**
@@ -274,7 +337,7 @@ function isAtBottom(sectionContent) {
     if (!sectionContent) return true;
     
     const { scrollTop, scrollHeight, clientHeight } = sectionContent;
-    return scrollTop + clientHeight >= scrollHeight - SCROLL_TOLERANCE;
+    return scrollTop + clientHeight >= scrollHeight - getInputProfile().scrollTolerance;
 }
 
 // ============================================
@@ -286,28 +349,32 @@ function isAtBottom(sectionContent) {
  * @param {WheelEvent} event - The wheel event
  */
 function handleWheelEvent(event) {
-    const wheelNow = Date.now();
-    const wheelDeltaSinceLast = lastWheelEventTime ? (wheelNow - lastWheelEventTime) : Number.POSITIVE_INFINITY;
-    lastWheelEventTime = wheelNow;
-    if (DEBUG_NAV) {
-        console.log('[SCROLL ENTER]', { 
-            target: event.target.className || event.target.tagName, 
-            isNavigating, 
-            navigationSource 
-        });
-    }
+    classifyWheelEvent(event);
+    const wheelDeltaSinceLast = navState.noteWheelEvent();
+    logEvent('wheel_enter', {
+        target: event.target.className || event.target.tagName,
+        deltaY: event.deltaY,
+        isNavigating: navState.isNavigating,
+        navigationSource: navState.source
+    });
     
+    // An overlay is open: let it scroll natively, never navigate underneath it
+    if (isInputRoutingSuspended()) {
+        logEvent('scroll_blocked', { input: 'wheel', reason: 'suspended' });
+        return;
+    }
+
     // CRITICAL: Block ALL wheel events during nav-button-initiated navigation
-    if (navigationSource === 'nav') {
+    if (navState.source === 'nav') {
         event.preventDefault();
-        if (DEBUG_NAV) console.log('[SCROLL BLOCKED]', 'Nav button navigation in progress');
+        logEvent('scroll_blocked', { input: 'wheel', reason: 'nav-in-progress' });
         return;
     }
     
     // Block events during navigation animation
-    if (isNavigating) {
+    if (navState.isNavigating) {
         event.preventDefault();
-        if (DEBUG_NAV) console.log('[SCROLL BLOCKED]', 'Navigation in progress');
+        logEvent('scroll_blocked', { input: 'wheel', reason: 'navigating' });
         return;
     }
     
@@ -317,9 +384,10 @@ function handleWheelEvent(event) {
     }
 
     // Card mode: scrolling down enters section mode
-    if (navMode === 'card') {
+    if (navState.mode === 'card') {
         if (event.deltaY > 0) {
-            navigationSource = 'wheel';
+            logEvent('nav_intent', { input: 'wheel', intent: 'enter' });
+            navState.dispatch('INTENT', { source: 'wheel' });
             enterSectionMode(getCurrentSection());
             event.preventDefault();
         }
@@ -329,11 +397,11 @@ function handleWheelEvent(event) {
     // Whitelist: only handle scroll when target is inside .section-content (exclude language-switcher, nav, fixed UI)
     const targetContent = event.target.closest('.section-content');
     if (!targetContent) {
-        if (DEBUG_NAV) console.log('[SCROLL SKIP]', 'Not inside section-content');
+        logEvent('wheel_native', { reason: 'outside-content' });
         return; // Not inside a section-content, allow native scroll
     }
     
-    const currentIndex = isNavigating ? targetSection : getCurrentSection();
+    const currentIndex = getCurrentSection();
     const currentSectionContent = targetContent || getCurrentSectionContent();
     
     // Check if current section can scroll vertically
@@ -351,81 +419,44 @@ function handleWheelEvent(event) {
         
         // Hide scroll hint when vertical scrolling starts
         if (!atTop || isScrollingDown) {
-            hideScrollHint(currentIndex);
+            // Hints are indexed by DOM position, which counts non-navigable sections
+            hideScrollHint(Array.from(sectionContents).indexOf(currentSectionContent));
         }
         
         // Stage 3b: Route based on scroll boundaries
         if (isScrollingUp && atTop) {
-            if (navMode === 'section') {
-                if (DEBUG_NAV) console.log('[SCROLL TO CARD]', 'top boundary reached');
+            if (navState.mode === 'section') {
+                logEvent('nav_intent', { input: 'wheel', intent: 'card' });
                 returnToCardMode();
                 event.preventDefault();
                 return;
             }
-            if (wheelNavRequiresFreshBurst && wheelDeltaSinceLast < WHEEL_BURST_GAP_MS) {
-                event.preventDefault();
-                return;
-            }
-            if (Date.now() < wheelNavLockUntil) {
-                event.preventDefault();
-                return;
-            }
-            // Check cooldown
-            const now = Date.now();
-            if (now - lastWheelTime < WHEEL_COOLDOWN) {
-                if (DEBUG_NAV) console.log('[SCROLL COOLDOWN]', 'prev blocked');
-                event.preventDefault();
+            if (absorbBlockedWheel(event, 'prev', wheelDeltaSinceLast)) {
                 return;
             }
             
-            if (DEBUG_NAV) console.log('[SCROLL HORIZONTAL]', 'prev', 'source: wheel');
-            lastWheelTime = now;
-            navigationSource = 'wheel';
+            logEvent('nav_intent', { input: 'wheel', intent: 'prev' });
+            navState.dispatch('INTENT', { source: 'wheel' });
             // At top, scrolling up → navigate to previous section
             navigateToPreviousSection();
             event.preventDefault();
         } else if (isScrollingDown && atBottom) {
-            if (wheelNavRequiresFreshBurst && wheelDeltaSinceLast < WHEEL_BURST_GAP_MS) {
-                event.preventDefault();
-                return;
-            }
-            if (Date.now() < wheelNavLockUntil) {
-                event.preventDefault();
-                return;
-            }
-            // Check cooldown
-            const now = Date.now();
-            if (now - lastWheelTime < WHEEL_COOLDOWN) {
-                if (DEBUG_NAV) console.log('[SCROLL COOLDOWN]', 'next blocked');
-                event.preventDefault();
+            if (absorbBlockedWheel(event, 'next', wheelDeltaSinceLast)) {
                 return;
             }
             
-            if (DEBUG_NAV) console.log('[SCROLL HORIZONTAL]', 'next', 'source: wheel');
-            lastWheelTime = now;
-            navigationSource = 'wheel';
+            logEvent('nav_intent', { input: 'wheel', intent: 'next' });
+            navState.dispatch('INTENT', { source: 'wheel' });
             // At bottom, scrolling down → navigate to next section
             navigateToNextSection();
             event.preventDefault();
         } else {
-            if (DEBUG_NAV) console.log('[SCROLL VERTICAL]');
+            logEvent('wheel_native', { reason: 'vertical' });
             // Within scrollable range → allow default vertical scroll
             return;
         }
     } else {
-        if (wheelNavRequiresFreshBurst && wheelDeltaSinceLast < WHEEL_BURST_GAP_MS) {
-            event.preventDefault();
-            return;
-        }
-        if (Date.now() < wheelNavLockUntil) {
-            event.preventDefault();
-            return;
-        }
-        // Check cooldown
-        const now = Date.now();
-        if (now - lastWheelTime < WHEEL_COOLDOWN) {
-            if (DEBUG_NAV) console.log('[SCROLL COOLDOWN]', 'no-vertical blocked');
-            event.preventDefault();
+        if (absorbBlockedWheel(event, event.deltaY < 0 ? 'prev' : 'next', wheelDeltaSinceLast)) {
             return;
         }
         
@@ -433,16 +464,14 @@ function handleWheelEvent(event) {
         const deltaY = event.deltaY;
         
         if (deltaY < 0) {
-            if (DEBUG_NAV) console.log('[SCROLL HORIZONTAL]', 'prev', 'source: wheel');
-            lastWheelTime = now;
-            navigationSource = 'wheel';
+            logEvent('nav_intent', { input: 'wheel', intent: 'prev' });
+            navState.dispatch('INTENT', { source: 'wheel' });
             // Scrolling up → previous section
             navigateToPreviousSection();
             event.preventDefault();
         } else if (deltaY > 0) {
-            if (DEBUG_NAV) console.log('[SCROLL HORIZONTAL]', 'next', 'source: wheel');
-            lastWheelTime = now;
-            navigationSource = 'wheel';
+            logEvent('nav_intent', { input: 'wheel', intent: 'next' });
+            navState.dispatch('INTENT', { source: 'wheel' });
             // Scrolling down → next section
             navigateToNextSection();
             event.preventDefault();
@@ -451,145 +480,530 @@ function handleWheelEvent(event) {
     }
 }
 
+/**
+ * Absorbs a boundary wheel event the wheel gates reject (momentum after a
+ * wheel navigation, post-navigation lock, cooldown)
+ * @param {WheelEvent} event
+ * @param {'prev'|'next'} intent - Navigation the event would trigger
+ * @param {number} gapSinceLastWheel - ms since the previous wheel event
+ * @returns {boolean} True if the event was absorbed
+ */
+function absorbBlockedWheel(event, intent, gapSinceLastWheel) {
+    const reason = navState.getWheelBlockReason(gapSinceLastWheel);
+    if (!reason) {
+        return false;
+    }
+
+    const data = { input: 'wheel', reason, intent };
+    if (reason === 'fresh-burst') {
+        data.gapMs = gapSinceLastWheel;
+    } else if (reason === 'post-nav-lock') {
+        data.remainingMs = navState.getState().lockUntil - navClock.now();
+    }
+    logEvent('scroll_blocked', data);
+    event.preventDefault();
+    return true;
+}
+
+// ============================================
+// Stage 3d: Route Keyboard Events
+// ============================================
+
+/**
+ * Checks if a key event target handles keys itself (form fields, editable content)
+ * @param {EventTarget} target
+ * @returns {boolean} True if keys should be left alone
+ */
+function isEditableTarget(target) {
+    if (!(target instanceof Element)) return false;
+    return target.isContentEditable || !!target.closest('input, textarea, select, [contenteditable="true"]');
+}
+
+/**
+ * Runs a key-initiated horizontal navigation through the shared guards.
+ * Held-down keys (auto-repeat) are the keyboard equivalent of trackpad
+ * momentum: they are absorbed, never treated as new intent.
+ * @param {KeyboardEvent} event
+ * @param {function(): void} navigate - Navigation to run if allowed
+ */
+function navigateByKey(event, navigate) {
+    event.preventDefault();
+
+    if (event.repeat) {
+        logEvent('scroll_blocked', { input: 'key', key: event.key, reason: 'auto-repeat' });
+        return;
+    }
+
+    const blockReason = navState.getBlockReason();
+    if (blockReason) {
+        logEvent('scroll_blocked', { input: 'key', key: event.key, reason: blockReason });
+        return;
+    }
+
+    logEvent('nav_intent', { input: 'key', key: event.key });
+    navState.dispatch('INTENT', { source: 'key' });
+    navigate();
+
+    // Already at the first/last section: nothing started, release the source
+    if (!navState.isNavigating) {
+        navState.dispatch('INTENT_DROPPED');
+    }
+}
+
+/**
+ * Handles keyboard navigation for card mode and section mode
+ * @param {KeyboardEvent} event
+ */
+function handleKeyDown(event) {
+    if (event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey) {
+        return;
+    }
+    if (isEditableTarget(event.target) || isMobile() || isInputRoutingSuspended()) {
+        return;
+    }
+
+    const key = event.key;
+
+    // Card mode: Enter / ArrowDown enters the site
+    if (navState.mode === 'card') {
+        if (key !== 'Enter' && key !== 'ArrowDown') {
+            return;
+        }
+        // Enter on a focused card or link activates it natively
+        if (key === 'Enter' && event.target instanceof Element && event.target.closest('button, a, [role="button"]')) {
+            return;
+        }
+        event.preventDefault();
+        if (event.repeat || navState.isNavigating) {
+            return;
+        }
+        logEvent('nav_intent', { input: 'key', key, intent: 'enter' });
+        navState.dispatch('INTENT', { source: 'key' });
+        enterSectionMode(getCurrentSection());
+        return;
+    }
+
+    const currentSectionContent = getCurrentSectionContent();
+    const canScroll = canScrollVertically(currentSectionContent);
+
+    switch (key) {
+        case 'Escape':
+            if (navState.isNavigating) return;
+            logEvent('nav_intent', { input: 'key', key, intent: 'card' });
+            event.preventDefault();
+            returnToCardMode();
+            break;
+        case 'ArrowLeft':
+            navigateByKey(event, navigateToPreviousSection);
+            break;
+        case 'ArrowRight':
+            navigateByKey(event, navigateToNextSection);
+            break;
+        case 'PageUp':
+            if (canScroll && !isAtTop(currentSectionContent)) {
+                // Within scrollable range → page the content
+                event.preventDefault();
+                currentSectionContent.scrollBy({ top: -currentSectionContent.clientHeight * 0.9 });
+                return;
+            }
+            navigateByKey(event, navigateToPreviousSection);
+            break;
+        case 'PageDown':
+            if (canScroll && !isAtBottom(currentSectionContent)) {
+                event.preventDefault();
+                currentSectionContent.scrollBy({ top: currentSectionContent.clientHeight * 0.9 });
+                return;
+            }
+            navigateByKey(event, navigateToNextSection);
+            break;
+        case 'Home':
+            navigateByKey(event, () => {
+                if (getCurrentSection() !== 0) scrollToSection(0);
+            });
+            break;
+        case 'End':
+            navigateByKey(event, () => {
+                const lastIndex = navigableSections.length - 1;
+                if (getCurrentSection() !== lastIndex) scrollToSection(lastIndex);
+            });
+            break;
+        default:
+            break;
+    }
+}
+
+// ============================================
+// Stage 3e: Resolve Touch Gestures
+// ============================================
+
+// Same principle as the wheel router: a swipe is not the same as intent.
+// A gesture only navigates if it is clearly directional, deliberate
+// (fast or long enough) and fresh (not a follow-up flick right after a
+// swipe navigation, the touch equivalent of trackpad momentum).
+const SWIPE_MIN_DISTANCE = 50; // px along the dominant axis
+const SWIPE_MAX_ANGLE_DEG = 30; // Max deviation from the intended axis
+const SWIPE_MIN_VELOCITY = 0.3; // px/ms; slower drags are reading, not navigating
+const SWIPE_LONG_DISTANCE_RATIO = 0.35; // Drags longer than this share of the viewport count regardless of speed
+const TOUCH_GESTURE_GAP_MS = 120; // Pause required between gestures after a swipe navigation
+let touchGesture = null; // Gesture currently in progress
+let lastTouchEndTime = 0; // Timestamp of the last finger lift
+
+/**
+ * Starts tracking a single-finger gesture
+ * @param {TouchEvent} event
+ */
+function handleTouchStart(event) {
+    if (event.touches.length !== 1) {
+        touchGesture = null; // Pinch/zoom is never navigation
+        return;
+    }
+    // Controls that scroll or act on their own
+    if (event.target instanceof Element && event.target.closest('.section-nav, .language-switcher')) {
+        touchGesture = null;
+        return;
+    }
+
+    const touch = event.touches[0];
+    const now = navClock.now();
+    const gapSinceLastGesture = lastTouchEndTime ? (now - lastTouchEndTime) : Number.POSITIVE_INFINITY;
+
+    touchGesture = {
+        startX: touch.clientX,
+        startY: touch.clientY,
+        lastX: touch.clientX,
+        lastY: touch.clientY,
+        startTime: now,
+        // Started mid-animation or as a quick follow-up flick → residual, not intent
+        isStale: navState.isNavigating || (navState.getState().requiresFreshGesture && gapSinceLastGesture < TOUCH_GESTURE_GAP_MS)
+    };
+}
+
+/**
+ * Tracks finger movement of the current gesture
+ * @param {TouchEvent} event
+ */
+function handleTouchMove(event) {
+    if (!touchGesture) return;
+    if (event.touches.length !== 1) {
+        touchGesture = null;
+        return;
+    }
+    touchGesture.lastX = event.touches[0].clientX;
+    touchGesture.lastY = event.touches[0].clientY;
+}
+
+/**
+ * Resolves a finished gesture into a navigation intent
+ * @param {Object} gesture - Tracked gesture
+ * @param {number} endTime - Timestamp of the finger lift
+ * @returns {'next'|'prev'|'enter'|null} Intent, or null if the gesture is not deliberate
+ */
+function resolveSwipeIntent(gesture, endTime) {
+    const deltaX = gesture.lastX - gesture.startX;
+    const deltaY = gesture.lastY - gesture.startY;
+    const absX = Math.abs(deltaX);
+    const absY = Math.abs(deltaY);
+    const duration = Math.max(endTime - gesture.startTime, 1);
+
+    const isDeliberate = (distance, viewportSize) => distance >= SWIPE_MIN_DISTANCE &&
+        (distance / duration >= SWIPE_MIN_VELOCITY || distance >= viewportSize * SWIPE_LONG_DISTANCE_RATIO);
+
+    // Horizontal swipe → section change (finger moving left = next)
+    const horizontalAngle = Math.atan2(absY, absX) * 180 / Math.PI;
+    if (horizontalAngle <= SWIPE_MAX_ANGLE_DEG && isDeliberate(absX, window.innerWidth)) {
+        return deltaX < 0 ? 'next' : 'prev';
+    }
+
+    // Card mode: swipe up enters the site (mirrors wheel-down)
+    const verticalAngle = Math.atan2(absX, absY) * 180 / Math.PI;
+    if (navState.mode === 'card' && deltaY < 0 && verticalAngle <= SWIPE_MAX_ANGLE_DEG && isDeliberate(absY, window.innerHeight)) {
+        return 'enter';
+    }
+
+    return null;
+}
+
+/**
+ * Finishes a gesture and routes it through the shared navigation guards
+ * @param {TouchEvent} event
+ */
+function handleTouchEnd(event) {
+    const gesture = touchGesture;
+    touchGesture = null;
+    const now = navClock.now();
+    lastTouchEndTime = now;
+
+    if (!gesture || event.type === 'touchcancel') {
+        return;
+    }
+
+    if (isInputRoutingSuspended()) {
+        return;
+    }
+
+    const intent = resolveSwipeIntent(gesture, now);
+    if (!intent) {
+        return;
+    }
+
+    if (gesture.isStale) {
+        logEvent('scroll_blocked', { input: 'touch', intent, reason: 'stale-gesture' });
+        return;
+    }
+
+    const blockReason = navState.getBlockReason();
+    if (blockReason) {
+        logEvent('scroll_blocked', { input: 'touch', intent, reason: blockReason });
+        return;
+    }
+
+    logEvent('nav_intent', { input: 'touch', intent });
+    navState.dispatch('INTENT', { source: 'touch' });
+
+    if (intent === 'enter') {
+        enterSectionMode(getCurrentSection());
+    } else if (intent === 'next') {
+        navigateToNextSection();
+    } else {
+        navigateToPreviousSection();
+    }
+
+    if (!navState.isNavigating) {
+        navState.dispatch('INTENT_DROPPED');
+    }
+}
+
 // ============================================
 // Stage 4: Horizontal Navigation Functions
 // ============================================
 
 /**
  * Navigates to the next section horizontally
+ * @returns {Promise<Object|null>} See scrollToSection; null at the last section
  */
 function navigateToNextSection() {
-    if (isNavigating) {
-        if (DEBUG_NAV) console.log('[NAV NEXT] Blocked: already navigating to section', targetSection);
-        return;
+    if (navState.isNavigating) {
+        logEvent('nav_rejected', { direction: 'next', reason: 'navigating', targetSection: navState.targetIndex });
+        return Promise.resolve(null);
     }
     
     const currentIndex = getCurrentSection();
     const nextIndex = Math.min(currentIndex + 1, navigableSections.length - 1);
-    // #region agent log
-    // fetch('http://127.0.0.1:7243/ingest/b7967069-ff3f-4945-b82f-94c4d5d7fcfe',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({sessionId:'debug-session',runId:'run1',hypothesisId:'H2',location:'main.js:346',message:'nav_next_indices',data:{currentIndex,nextIndex,navigableCount:navigableSections.length,navigableSectionIds},timestamp:Date.now()})}).catch(()=>{});
-    // #endregion
     
-    if (DEBUG_NAV) {
-        console.log('[NAV NEXT]', {
-            currentIndex,
-            nextIndex,
-            scrollLeft: Math.round(sectionsWrapper.scrollLeft),
-            navigationSource
-        });
-    }
+    logEvent('nav_step', {
+        direction: 'next',
+        currentIndex,
+        nextIndex,
+        scrollLeft: Math.round(sectionsWrapper.scrollLeft),
+        navigationSource: navState.source
+    });
     
     if (nextIndex !== currentIndex) {
-        scrollToSection(nextIndex);
-    } else {
-        if (DEBUG_NAV) console.log('[NAV NEXT] Already at last section');
+        return scrollToSection(nextIndex);
     }
+    logEvent('nav_rejected', { direction: 'next', reason: 'at-edge', currentIndex });
+    return Promise.resolve(null);
 }
 
 /**
  * Navigates to the previous section horizontally
+ * @returns {Promise<Object|null>} See scrollToSection; null at the first section
  */
 function navigateToPreviousSection() {
-    if (isNavigating) {
-        if (DEBUG_NAV) console.log('[NAV PREV] Blocked: already navigating to section', targetSection);
-        return;
+    if (navState.isNavigating) {
+        logEvent('nav_rejected', { direction: 'prev', reason: 'navigating', targetSection: navState.targetIndex });
+        return Promise.resolve(null);
     }
     
     const currentIndex = getCurrentSection();
     const prevIndex = Math.max(currentIndex - 1, 0);
-    // #region agent log
-    // fetch('http://127.0.0.1:7243/ingest/b7967069-ff3f-4945-b82f-94c4d5d7fcfe',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({sessionId:'debug-session',runId:'run1',hypothesisId:'H2',location:'main.js:374',message:'nav_prev_indices',data:{currentIndex,prevIndex,navigableCount:navigableSections.length,navigableSectionIds},timestamp:Date.now()})}).catch(()=>{});
-    // #endregion
     
-    if (DEBUG_NAV) {
-        console.log('[NAV PREV]', {
-            currentIndex,
-            prevIndex,
-            scrollLeft: Math.round(sectionsWrapper.scrollLeft),
-            navigationSource
-        });
-    }
+    logEvent('nav_step', {
+        direction: 'prev',
+        currentIndex,
+        prevIndex,
+        scrollLeft: Math.round(sectionsWrapper.scrollLeft),
+        navigationSource: navState.source
+    });
     
     if (prevIndex !== currentIndex) {
-        scrollToSection(prevIndex);
-    } else {
-        if (DEBUG_NAV) console.log('[NAV PREV] Already at first section');
+        return scrollToSection(prevIndex);
     }
+    logEvent('nav_rejected', { direction: 'prev', reason: 'at-edge', currentIndex });
+    return Promise.resolve(null);
 }
 
+// Completion is detected, not assumed: a navigation ends when the scroll
+// stops (scrollend, or the position holding still where scrollend is not
+// supported), with a timeout as the last resort. If it stopped away from the
+// target (scroll snapping to a neighbour, an interrupted smooth scroll) it is
+// corrected with a jump before the lock releases.
+const NAV_SETTLE_POLL_MS = 50; // How often a running navigation samples the scroll position
+const NAV_SETTLE_MS = 150; // Position unchanged this long away from the target = the scroll stopped
+const NAV_TIMEOUT_MS = 2000; // Releases the lock whatever happened
+const NAV_TARGET_TOLERANCE = 10; // px; closer than this counts as arrived
+const NAV_MAX_CORRECTIONS = 1; // Jumps to the target after a scroll stopped elsewhere
+// Replays cannot watch real scrolling; they hold the lock for the typical duration
+const NAV_SIMULATED_SMOOTH_MS = 800;
+const NAV_SIMULATED_INSTANT_MS = 50;
+
 /**
- * Scrolls to a specific section by index
- * @param {number} index - Section index (0-5)
+ * Watches a running navigation until the scroll has stopped
+ * @param {{scroller: EventTarget, targetPosition: number, correct: function(): void, simulateMs: number|null}} watch
+ *   scroller: element that fires scrollend; correct: jumps to the target;
+ *   simulateMs: skip detection and complete after this long (replay)
+ * @param {function({via: string, corrections: number, durationMs: number}): void} onSettled
+ *   via: 'scrollend' | 'settled' | 'timeout' | 'simulated'
  */
-function scrollToSection(index) {
-    // Don't use custom scrolling on mobile
-    if (isMobile()) {
-        if (DEBUG_NAV) console.log('[SCROLLTO] Skipped: mobile mode');
+function watchNavigationScroll(watch, onSettled) {
+    const startedAt = navClock.now();
+    let lastPosition = getNavScrollPosition();
+    let stillSince = startedAt;
+    let corrections = 0;
+    let pollTimer = null;
+    let timeoutTimer = null;
+    let finished = false;
+
+    const arrived = () => Math.abs(getNavScrollPosition() - watch.targetPosition) < NAV_TARGET_TOLERANCE;
+
+    const finish = (via) => {
+        if (finished) return;
+        finished = true;
+        navClock.clearTimeout(pollTimer);
+        navClock.clearTimeout(timeoutTimer);
+        watch.scroller.removeEventListener('scrollend', handleScrollEnd);
+        onSettled({ via, corrections, durationMs: navClock.now() - startedAt });
+    };
+
+    // The scroll stopped: done if it arrived, otherwise correct it (once)
+    const settle = (via) => {
+        if (arrived() || corrections >= NAV_MAX_CORRECTIONS) {
+            finish(via);
+            return;
+        }
+        corrections++;
+        logEvent('nav_correction', {
+            via,
+            position: Math.round(getNavScrollPosition()),
+            targetPosition: watch.targetPosition
+        }, 'warn');
+        watch.correct();
+        lastPosition = getNavScrollPosition();
+        stillSince = navClock.now();
+    };
+
+    function handleScrollEnd() {
+        settle('scrollend');
+    }
+
+    const poll = () => {
+        const now = navClock.now();
+        const position = getNavScrollPosition();
+        if (Math.abs(position - lastPosition) >= 1) {
+            lastPosition = position;
+            stillSince = now;
+        } else if (now - stillSince >= (arrived() ? NAV_SETTLE_POLL_MS : NAV_SETTLE_MS)) {
+            settle('settled');
+        }
+        if (!finished) {
+            pollTimer = navClock.setTimeout(poll, NAV_SETTLE_POLL_MS);
+        }
+    };
+
+    if (watch.simulateMs !== null) {
+        timeoutTimer = navClock.setTimeout(() => finish('simulated'), watch.simulateMs);
         return;
     }
-    
+    watch.scroller.addEventListener('scrollend', handleScrollEnd);
+    pollTimer = navClock.setTimeout(poll, NAV_SETTLE_POLL_MS);
+    timeoutTimer = navClock.setTimeout(() => finish('timeout'), NAV_TIMEOUT_MS);
+}
+
+/**
+ * Scrolls to a specific section by index
+ * @param {number} index - Section index (0-5)
+ * @param {{instant?: boolean}} [options] - instant: jump without smooth scrolling (e.g. restoring a deep link)
+ * @returns {Promise<Object|null>} Resolves once the navigation has settled and the lock is
+ *   released, with the nav_complete data; null if another navigation was already running
+ */
+function scrollToSection(index, options = {}) {
     // Prevent overlapping navigations
-    if (isNavigating) {
-        if (DEBUG_NAV) console.log('[SCROLLTO] Blocked: already navigating');
-        return;
+    if (navState.isNavigating) {
+        logEvent('nav_rejected', { index, reason: 'navigating', targetSection: navState.targetIndex });
+        return Promise.resolve(null);
     }
     
     const viewportWidth = window.innerWidth;
+    const useVerticalAxis = isMobile(); // Mobile: sections are stacked, scroll the page
     const clampedIndex = Math.max(0, Math.min(index, navigableSections.length - 1));
     const targetSectionEl = navigableSections[clampedIndex];
-    const targetScrollLeft = targetSectionEl ? targetSectionEl.offsetLeft : clampedIndex * viewportWidth;
-    // #region agent log
-    // fetch('http://127.0.0.1:7243/ingest/b7967069-ff3f-4945-b82f-94c4d5d7fcfe',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({sessionId:'debug-session',runId:'run1',hypothesisId:'H3',location:'main.js:416',message:'scrollToSection_target',data:{index,clampedIndex,targetScrollLeft,viewportWidth,navigableCount:navigableSections.length,navigableSectionIds,targetSectionId:targetSectionEl?.id||null},timestamp:Date.now()})}).catch(()=>{});
-    // #endregion
+    const targetScrollLeft = targetSectionEl ? getSectionNavOffset(targetSectionEl) : clampedIndex * viewportWidth;
     
-    if (DEBUG_NAV) {
-        console.log('[SCROLLTO]', {
-            index: index,
-            source: navigationSource,
-            viewportWidth: viewportWidth,
-            targetScrollLeft: targetScrollLeft,
-            currentScrollLeft: Math.round(sectionsWrapper.scrollLeft)
-        });
-    }
+    logEvent('nav_start', {
+        index: index,
+        sectionId: targetSectionEl ? targetSectionEl.id : null,
+        source: navState.source,
+        viewportWidth: viewportWidth,
+        targetScrollLeft: targetScrollLeft,
+        currentScrollLeft: Math.round(getNavScrollPosition()),
+        axis: useVerticalAxis ? 'y' : 'x'
+    });
     
     // Set navigation lock
-    isNavigating = true;
-    targetSection = clampedIndex;
+    navState.dispatch('NAV_START', { index: clampedIndex });
     
-    // Clear any existing timeout
-    if (navigationTimeout) {
-        clearTimeout(navigationTimeout);
-    }
-    
-    // Respect reduced motion preference
-    const scrollBehavior = prefersReducedMotion() ? 'auto' : 'smooth';
-    const animationDuration = scrollBehavior === 'smooth' ? 800 : 50;
-    
-    sectionsWrapper.scrollTo({
-        left: targetScrollLeft,
-        behavior: scrollBehavior
-    });
+    // Respect reduced motion preference ('instant' bypasses the CSS scroll-behavior: smooth)
+    const scrollBehavior = options.instant ? 'instant' : (prefersReducedMotion() ? 'auto' : 'smooth');
+    // Replay jumps but keeps the lock for the typical animation time
+    const appliedBehavior = forceInstantNavigation ? 'instant' : scrollBehavior;
     
-    // Release lock after animation completes
-    navigationTimeout = setTimeout(() => {
-        const wasWheel = navigationSource === 'wheel';
-        isNavigating = false;
-        navigationSource = null;
-        targetSection = clampedIndex;
-        
-        if (DEBUG_NAV) {
-            console.log('[SCROLLTO COMPLETE]', {
-                actualScrollLeft: Math.round(sectionsWrapper.scrollLeft),
-                targetScrollLeft,
-                targetSection,
-                success: Math.abs(sectionsWrapper.scrollLeft - targetScrollLeft) < 10
+    const scrollNav = (behavior) => {
+        if (useVerticalAxis) {
+            window.scrollTo({
+                top: targetScrollLeft,
+                behavior
+            });
+        } else {
+            sectionsWrapper.scrollTo({
+                left: targetScrollLeft,
+                behavior
             });
         }
-        if (wasWheel) {
-            wheelNavLockUntil = Date.now() + POST_WHEEL_NAV_LOCK_MS;
-            wheelNavRequiresFreshBurst = true;
-        }
-    }, animationDuration);
+    };
+    scrollNav(appliedBehavior);
+    
+    return new Promise((resolve) => {
+        watchNavigationScroll({
+            scroller: useVerticalAxis ? window : sectionsWrapper,
+            targetPosition: targetScrollLeft,
+            correct: () => scrollNav('instant'),
+            simulateMs: forceInstantNavigation
+                ? (scrollBehavior === 'smooth' ? NAV_SIMULATED_SMOOTH_MS : NAV_SIMULATED_INSTANT_MS)
+                : null
+        }, ({ via, corrections, durationMs }) => {
+            const completedSource = navState.source;
+            // Releases the lock and arms the post-navigation lockout for the source
+            navState.dispatch('NAV_COMPLETE');
+            
+            const result = {
+                sectionId: targetSectionEl ? targetSectionEl.id : null,
+                source: completedSource,
+                actualScrollLeft: Math.round(getNavScrollPosition()),
+                targetScrollLeft,
+                targetSection: clampedIndex,
+                success: Math.abs(getNavScrollPosition() - targetScrollLeft) < NAV_TARGET_TOLERANCE,
+                via,
+                corrections,
+                durationMs
+            };
+            logEvent('nav_complete', result, result.success ? undefined : 'warn');
+            const settledCallbacks = navigationSettledCallbacks;
+            navigationSettledCallbacks = [];
+            settledCallbacks.forEach((callback) => callback());
+            handleRouteNavigationSettled();
+            resolve(result);
+        });
+    });
 }
 
 // ============================================
@@ -601,6 +1015,7 @@ function scrollToSection(index) {
  */
 function updateActiveSection() {
     const currentIndex = getCurrentSection();
+    announceActiveSection(currentIndex);
     
     navigableNavButtons.forEach((button, index) => {
         if (index === currentIndex) {
@@ -609,6 +1024,8 @@ function updateActiveSection() {
             button.classList.remove('active');
         }
     });
+    updateNavTabs(currentIndex);
+    updateSectionInert();
 
     if (navCardItems.length) {
         navCardItems.forEach((card, index) => {
@@ -621,6 +1038,18 @@ function updateActiveSection() {
 // Stage 6: Scroll Hint Management
 // ============================================
 
+/**
+ * Creates a scroll hint element (re-translated by switchLanguage)
+ * @returns {HTMLElement}
+ */
+function createScrollHint() {
+    const hint = document.createElement('div');
+    hint.className = 'scroll-hint';
+    hint.dataset.i18n = 'scrollHint';
+    hint.textContent = t('scrollHint');
+    return hint;
+}
+
 /**
  * Creates and adds scroll hints to sections that have scrollable content
  */
@@ -629,27 +1058,40 @@ function initScrollHints() {
         sectionContents.forEach((content, index) => {
             // Only add hint if content can scroll vertically
             if (content.scrollHeight > content.clientHeight) {
-                const hint = document.createElement('div');
-                hint.className = 'scroll-hint';
-                // Create bilingual hint content
-                const trHint = document.createElement('span');
-                trHint.setAttribute('data-lang', 'tr');
-                trHint.textContent = 'Detaylar için kaydır ↓';
-                const enHint = document.createElement('span');
-                enHint.setAttribute('data-lang', 'en');
-                enHint.style.display = 'none';
-                enHint.textContent = 'Scroll for details ↓';
-                hint.appendChild(trHint);
-                hint.appendChild(enHint);
-                sections[index].appendChild(hint);
+                sections[index].appendChild(createScrollHint());
             }
         });
     });
 }
 
+/**
+ * Re-evaluates scroll hints after content height changed (filtering, late content).
+ * Adds hints to sections that became scrollable and removes them from
+ * sections that no longer are.
+ */
+function refreshScrollHints() {
+    if (isMobile()) {
+        return;
+    }
+    sectionContents.forEach((content, index) => {
+        const section = sections[index];
+        const hint = section.querySelector('.scroll-hint');
+        const canScroll = canScrollVertically(content);
+        if (canScroll && !hint) {
+            const newHint = createScrollHint();
+            if (!isAtTop(content)) newHint.classList.add('hidden');
+            section.appendChild(newHint);
+        } else if (!canScroll && hint) {
+            hint.remove();
+        }
+    });
+    // Progress is measured against the same heights
+    scheduleReadingProgressUpdate();
+}
+
 /**
  * Hides scroll hint for a specific section
- * @param {number} sectionIndex - Index of the section
+ * @param {number} sectionIndex - DOM index of the section
  */
 function hideScrollHint(sectionIndex) {
     const section = sections[sectionIndex];
@@ -661,7 +1103,7 @@ function hideScrollHint(sectionIndex) {
 
 /**
  * Shows scroll hint for a specific section (if it exists)
- * @param {number} sectionIndex - Index of the section
+ * @param {number} sectionIndex - DOM index of the section
  */
 function showScrollHint(sectionIndex) {
     const section = sections[sectionIndex];
@@ -695,14 +1137,16 @@ function handleSectionContentScroll(event) {
             showScrollHint(sectionIndex);
         }
     }
+    rememberReadPosition();
 }
 
 /**
  * Handles horizontal scroll to update active section
  */
 function handleHorizontalScroll() {
-    // Skip on mobile (no horizontal scrolling)
-    if (isMobile()) {
+    // Skip on mobile (no horizontal scrolling) and while the viewport
+    // changes (the browser clamps the old offset against the new widths)
+    if (isMobile() || viewportAnchor) {
         return;
     }
     const scrollLeft = sectionsWrapper.scrollLeft;
@@ -725,21 +1169,286 @@ function handleHorizontalScroll() {
         }
     });
     const closestAllId = allSections[closestAllIndex]?.id || null;
-    if (closestAllId && !navigableSectionIds.includes(closestAllId)) {
-        const snapAlign = window.getComputedStyle(allSections[closestAllIndex]).getPropertyValue('scroll-snap-align');
-        // #region agent log
-        // fetch('http://127.0.0.1:7243/ingest/b7967069-ff3f-4945-b82f-94c4d5d7fcfe',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({sessionId:'debug-session',runId:'run1',hypothesisId:'H1',location:'main.js:588',message:'non_navigable_snap',data:{scrollLeft:Math.round(scrollLeft),closestAllId,closestAllIndex,closestNavId:navigableSections[closestNavIndex]?.id||null,snapAlign:snapAlign.trim()},timestamp:Date.now()})}).catch(()=>{});
-        // #endregion
-    }
-    // #region agent log
-    // fetch('http://127.0.0.1:7243/ingest/b7967069-ff3f-4945-b82f-94c4d5d7fcfe',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({sessionId:'debug-session',runId:'run1',hypothesisId:'H4',location:'main.js:572',message:'horizontal_scroll_state',data:{scrollLeft:Math.round(scrollLeft),closestAllIndex,closestAllId:allSections[closestAllIndex]?.id||null,closestNavIndex,closestNavId:navigableSections[closestNavIndex]?.id||null},timestamp:Date.now()})}).catch(()=>{});
-    // #endregion
+    const onNonNavigable = closestAllId && !navigableSectionIds.includes(closestAllId);
+    logEvent('section_probe', {
+        scrollLeft: Math.round(scrollLeft),
+        closestAllId,
+        closestNavId: navigableSections[closestNavIndex]?.id || null,
+        // A non-navigable section under the viewport means snapping let it through
+        snapAlign: onNonNavigable ? window.getComputedStyle(allSections[closestAllIndex]).getPropertyValue('scroll-snap-align').trim() : undefined
+    });
 
     updateActiveSection();
+    rememberReadPosition();
     
     // Show scroll hint for new section if at top
     const currentIndex = getCurrentSection();
-    showScrollHint(currentIndex);
+    showScrollHint(allSections.indexOf(navigableSections[currentIndex]));
+}
+
+/**
+ * Handles page scroll on mobile (stacked sections) to update active section
+ */
+function handlePageScroll() {
+    if (!isMobile() || viewportAnchor) {
+        return;
+    }
+    updateActiveSection();
+    rememberReadPosition();
+}
+
+/**
+ * Handles a click on a section nav button
+ * @param {number} index - Index of the button among navigable nav buttons
+ */
+function handleNavButtonClick(index) {
+    if (navState.isNavigating) {
+        logEvent('nav_rejected', { input: 'nav', buttonIndex: index, reason: 'navigating' });
+        return;
+    }
+
+    const targetSectionId = navigableNavButtons[index]?.getAttribute('aria-controls');
+    const targetSectionIndex = navigableSectionIds.indexOf(targetSectionId);
+    if (targetSectionIndex === -1) {
+        return;
+    }
+
+    logEvent('nav_intent', {
+        input: 'nav',
+        buttonIndex: index,
+        dataSection: navigableNavButtons[index]?.dataset.section,
+        targetSection: targetSectionIndex,
+        isMobile: isMobile()
+    });
+
+    navState.dispatch('INTENT', { source: 'nav' });
+    if (navState.mode === 'card') {
+        enterSectionMode(targetSectionIndex);
+        return;
+    }
+    scrollToSection(targetSectionIndex);
+}
+
+// ============================================
+// Entry Navigation (search results, timeline bars)
+// ============================================
+
+const ENTRY_HIGHLIGHT_MS = 2400; // Matches the entry-hit-flash animation
+let entryHighlightTimeout = null;
+
+/**
+ * Navigates to an entry: its section first (entering section mode from the
+ * cards), then the entry is scrolled into view and highlighted
+ * @param {number} sectionIndex - Navigable index of the section that holds the entry
+ * @param {HTMLElement} target - The entry element
+ * @param {function(): void} [prepare] - Runs once navigation is idle, before
+ *   navigating (e.g. switching to the entry's language)
+ */
+function navigateToEntry(sectionIndex, target, prepare) {
+    runWhenNavigationSettles(() => {
+        if (prepare) {
+            prepare();
+        }
+        if (target.closest('.is-filtered-out')) {
+            clearTagFilter();
+        }
+
+        navState.dispatch('INTENT', { source: 'nav' });
+        if (navState.mode === 'card') {
+            enterSectionMode(sectionIndex);
+        } else if (sectionIndex !== getCurrentSection()) {
+            scrollToSection(sectionIndex);
+        }
+        if (!navState.isNavigating) {
+            navState.dispatch('INTENT_DROPPED');
+        }
+
+        runWhenNavigationSettles(() => revealEntry(target));
+    });
+}
+
+/**
+ * Scrolls an entry into view inside its section and highlights it
+ * @param {HTMLElement} target
+ */
+function revealEntry(target) {
+    const behavior = prefersReducedMotion() ? 'auto' : 'smooth';
+    const targetRect = target.getBoundingClientRect();
+
+    if (isMobile()) {
+        // Stacked sections: the page is the scroll container
+        window.scrollTo({ top: targetRect.top + window.scrollY - window.innerHeight / 4, behavior });
+    } else {
+        const content = target.closest('.section-content');
+        if (content) {
+            const contentRect = content.getBoundingClientRect();
+            content.scrollTo({ top: targetRect.top - contentRect.top + content.scrollTop - 24, behavior });
+        }
+    }
+
+    document.querySelectorAll('.entry-hit').forEach((element) => element.classList.remove('entry-hit'));
+    clearTimeout(entryHighlightTimeout);
+    // Restart the highlight animation even when the same entry is hit twice
+    void target.offsetWidth;
+    target.classList.add('entry-hit');
+    entryHighlightTimeout = setTimeout(() => target.classList.remove('entry-hit'), ENTRY_HIGHLIGHT_MS);
+}
+
+// ============================================
+// Viewport Changes (resize, zoom, orientation)
+// ============================================
+
+// Sections are 100vw wide, so any change of the viewport width moves every
+// section boundary while the wrapper keeps its old scroll offset. Each burst
+// of resize events is handled once it ends: the wrapper width is recomputed,
+// the section the visitor was on is snapped back into place with its inner
+// scroll position, and crossing the 768px line swaps the desktop input
+// handlers in or out. The mode is kept, except that phones have no card
+// mode: a desktop visitor on the cards continues in section mode.
+const VIEWPORT_SETTLE_MS = 250; // Quiet time that ends a resize burst
+
+let readPosition = { sectionIndex: 0, progress: 0 }; // Where the visitor is; kept up to date by scrolling
+let viewportAnchor = null; // readPosition plus wasMobile, while a viewport change is pending
+let viewportSettleTimer = null;
+let desktopInputAttached = false;
+
+/**
+ * Routes the wheel in card mode from anywhere on the page (desktop)
+ * @param {WheelEvent} event
+ */
+function handleCardModeWheel(event) {
+    if (navState.mode === 'card' && !isMobile()) {
+        handleWheelEvent(event);
+    }
+}
+
+/**
+ * Attaches or detaches the desktop-only input handlers (wheel, keys,
+ * horizontal scroll). Phones scroll the page natively and navigate by swipe.
+ * @param {boolean} attach
+ */
+function setDesktopInputHandlers(attach) {
+    if (attach === desktopInputAttached) {
+        return;
+    }
+    desktopInputAttached = attach;
+    const method = attach ? 'addEventListener' : 'removeEventListener';
+    // Listen for wheel events on the sections wrapper
+    sectionsWrapper[method]('wheel', handleWheelEvent, { passive: false });
+    window[method]('wheel', handleCardModeWheel, { passive: false, capture: true });
+    // Keyboard navigation (same guards as wheel)
+    window[method]('keydown', handleKeyDown);
+    // Listen for horizontal scroll to update active section
+    sectionsWrapper[method]('scroll', handleHorizontalScroll);
+}
+
+/**
+ * Measures how far into a section the visitor has read
+ * @param {HTMLElement} section - A navigable .cv-section
+ * @param {boolean} mobile - Stacked layout (page scroll) or columns (content scroll)
+ * @returns {number} 0–1
+ */
+function getSectionReadPosition(section, mobile) {
+    if (mobile) {
+        const rect = section.getBoundingClientRect();
+        const scrollable = rect.height - window.innerHeight;
+        return scrollable > 0 ? Math.min(1, Math.max(0, -rect.top / scrollable)) : 0;
+    }
+    const content = section.querySelector('.section-content');
+    const scrollable = content ? content.scrollHeight - content.clientHeight : 0;
+    return scrollable > 0 ? Math.min(1, Math.max(0, content.scrollTop / scrollable)) : 0;
+}
+
+/**
+ * Puts a section back in view at a read position, without animating
+ * @param {number} sectionIndex - Navigable section index
+ * @param {number} progress - 0–1, from getSectionReadPosition
+ */
+function restoreSectionReadPosition(sectionIndex, progress) {
+    const section = navigableSections[sectionIndex];
+    if (!section) {
+        return;
+    }
+    if (isMobile()) {
+        const scrollable = section.offsetHeight - window.innerHeight;
+        window.scrollTo({ top: getSectionNavOffset(section) + Math.max(0, scrollable) * progress, behavior: 'instant' });
+        return;
+    }
+    sectionsWrapper.scrollTo({ left: section.offsetLeft, behavior: 'instant' });
+    const content = section.querySelector('.section-content');
+    if (content) {
+        content.scrollTop = Math.max(0, content.scrollHeight - content.clientHeight) * progress;
+    }
+}
+
+/**
+ * Records the read position after scrolling or navigating. Not while the
+ * viewport changes: by the time resize fires the layout is already new.
+ */
+function rememberReadPosition() {
+    if (viewportAnchor || navState.isNavigating) {
+        return;
+    }
+    const sectionIndex = getCurrentSection();
+    const section = navigableSections[sectionIndex];
+    if (section) {
+        readPosition = { sectionIndex, progress: getSectionReadPosition(section, isMobile()) };
+    }
+}
+
+/**
+ * Anchors the read position when a viewport change starts, then waits for
+ * the change to end
+ */
+function handleViewportChange() {
+    if (!viewportAnchor) {
+        // A running navigation is headed for its target; anchor there
+        viewportAnchor = navState.isNavigating
+            ? { sectionIndex: navState.targetIndex, progress: 0 }
+            : { ...readPosition };
+        viewportAnchor.wasMobile = !desktopInputAttached;
+    }
+    clearTimeout(viewportSettleTimer);
+    viewportSettleTimer = setTimeout(() => {
+        runWhenNavigationSettles(applyViewportChange);
+    }, VIEWPORT_SETTLE_MS);
+}
+
+/**
+ * Re-lays out the page for the new viewport and returns the visitor to the
+ * anchored section and read position
+ */
+function applyViewportChange() {
+    const anchor = viewportAnchor;
+    viewportAnchor = null;
+    if (!anchor || !navigableSections[anchor.sectionIndex]) {
+        return;
+    }
+    const mobile = isMobile();
+
+    applyWrapperWidth();
+    setDesktopInputHandlers(!mobile);
+    if (mobile && navState.mode === 'card') {
+        setNavMode('section');
+    }
+    if (!mobile && !navCardContainer) {
+        // Loaded on a phone: the cards were never built
+        initNavCards();
+    }
+
+    restoreSectionReadPosition(anchor.sectionIndex, anchor.progress);
+    updateActiveSection();
+    refreshScrollHints();
+
+    logEvent('layout', {
+        step: 'viewport-change',
+        viewportWidth: window.innerWidth,
+        layout: mobile ? 'stacked' : 'columns',
+        crossed: mobile !== anchor.wasMobile,
+        sectionId: navigableSectionIds[anchor.sectionIndex],
+        progress: Math.round(anchor.progress * 100) / 100,
+        mode: navState.mode
+    });
 }
 
 /**
@@ -749,74 +1458,42 @@ function initScrollHandlers() {
     
     // Only initialize custom scroll routing on desktop
     if (!isMobile()) {
-        // Listen for wheel events on the sections wrapper
-        sectionsWrapper.addEventListener('wheel', handleWheelEvent, { passive: false });
-        window.addEventListener('wheel', (event) => {
-            if (navMode === 'card' && !isMobile()) {
-                handleWheelEvent(event);
-            }
-        }, { passive: false, capture: true });
-        
-        // Listen for horizontal scroll to update active section
-        sectionsWrapper.addEventListener('scroll', handleHorizontalScroll);
+        setDesktopInputHandlers(true);
         
         // Initialize scroll hints
         initScrollHints();
-        
-        // Set initial active section
-        updateActiveSection();
-        
-        // Add click handlers to navigation buttons
-        navigableNavButtons.forEach((button, index) => {
-            button.addEventListener('click', () => {
-                if (isNavigating) {
-                    if (DEBUG_NAV) console.log('[NAV CLICK] Blocked: already navigating');
-                    return;
-                }
-                
-                const targetSectionId = NAVIGABLE_SECTION_IDS[index];
-                const targetSectionIndex = navigableSections.findIndex((section) => section.id === targetSectionId);
-                if (targetSectionIndex === -1) {
-                    return;
-                }
-                
-                if (DEBUG_NAV) {
-                    console.log('[NAV CLICK]', {
-                        buttonIndex: index,
-                        dataSection: button.dataset.section,
-                        targetSection: targetSectionIndex,
-                        navigationSource: 'nav',
-                        isMobile: isMobile()
-                    });
-                }
-                
-                navigationSource = 'nav';
-                if (navMode === 'card') {
-                    enterSectionMode(targetSectionIndex);
-                    return;
-                }
-                scrollToSection(targetSectionIndex);
-            });
-        });
     }
     
+    // Set initial active section
+    updateActiveSection();
+
+    // Add click handlers to navigation buttons (stacked sections on mobile scroll the page)
+    navigableNavButtons.forEach((button, index) => {
+        button.addEventListener('click', () => handleNavButtonClick(index));
+    });
+
+    // Swipe intent resolution (phones and touch-enabled tablets/laptops)
+    document.addEventListener('touchstart', handleTouchStart, { passive: true });
+    document.addEventListener('touchmove', handleTouchMove, { passive: true });
+    document.addEventListener('touchend', handleTouchEnd, { passive: true });
+    document.addEventListener('touchcancel', handleTouchEnd, { passive: true });
+
+    // Mobile: stacked sections scroll the page, track the active one
+    window.addEventListener('scroll', handlePageScroll, { passive: true });
+    
     // Listen for vertical scroll on each section content to hide hints (works on both mobile and desktop)
     sectionContents.forEach(content => {
         content.addEventListener('scroll', handleSectionContentScroll);
     });
     
-    // Handle window resize to reinitialize if switching between mobile/desktop
-    let resizeTimeout;
-    window.addEventListener('resize', () => {
-        clearTimeout(resizeTimeout);
-        resizeTimeout = setTimeout(() => {
-            // Reinitialize handlers if switching between mobile/desktop
-            if (!isMobile()) {
-                updateActiveSection();
-            }
-            setNavMode(isMobile() ? 'section' : 'card');
-        }, 250);
+    // Resize, zoom and rotation: re-layout, keeping mode and position
+    navState.subscribe(({ event, accepted }) => {
+        if (accepted && event === 'NAV_COMPLETE') {
+            rememberReadPosition();
+        }
     });
+    window.addEventListener('resize', handleViewportChange);
+    window.addEventListener('orientationchange', handleViewportChange);
 }
 
 /**
@@ -827,92 +1504,18 @@ function initNavCards() {
         return;
     }
 
-    const cardData = {
-        0: {
-            tr: { label: 'Profil', title: 'Hakkımda', summary: ' Kariyerim sivil toplum, gazetecilik ve akademinin kesişiminde şekillendi. Proje geliştirme, araştırma ve editoryal üretim odağında çalışıyorum.', affordance: '↓ kaydırarak keşfedin' },
-            en: { label: 'Profile', title: 'About', summary: 'My career has been shaped at the intersection of civil society, journalism, and academia. I work through project development, research, and writing.', affordance: '↓ scroll to explore' }
-        },
-        1: {
-            tr: { label: 'Kariyer', title: 'Deneyim', summary: 'Sivil toplumda araştırma koordinasyonu ve proje yönetimi süreçlerini üstlendim. Bilgi düzensizliği, medya okuryazarlığı ve nefret söylemi alanlarına odaklanıyorum.', affordance: '↓ kaydırarak keşfedin' },
-            en: { label: 'Career', title: 'Experience', summary: 'Project development, research coordination, editorial work in civil society. Information disorder, media literacy, hate speech monitoring.', affordance: '↓ scroll to explore' }
-        },
-        2: {
-            tr: { label: 'Eğitim', title: 'Eğitim', summary: 'Siyaset bilimi ve Türkiye çalışmaları üzerine eğitim aldım. Teknoloji ve toplum ilişkisini, teori ve pratiği birleştirerek ele alıyorum.', affordance: '↓ kaydırarak keşfedin' },
-            en: { label: 'Education', title: 'Education', summary: 'Political science, Turkish studies, design–technology–society. Bringing theory into practice.', affordance: '↓ scroll to explore' }
-        },
-        4: {
-            tr: { label: 'Projeler', title: 'Projeler', summary: 'Bilgi düzensizliği, medya okuryazarlığı ve iklim dezenformasyonu alanlarında yürüttüğüm seçili projeler.', affordance: '↓ kaydırarak keşfedin' },
-            en: { label: 'Work', title: 'Projects', summary: 'Information disorder, media literacy, climate disinformation. Methodologies, roles, outcomes.', affordance: '↓ scroll to explore' }
-        },
-        5: {
-            tr: { label: 'İletişim', title: 'İletişim', summary: 'Yeni projeler ve işbirliklerine açığım.', affordance: '↓ kaydırarak keşfedin' },
-            en: { label: 'Reach', title: 'Contact', summary: 'Open to new projects and collaborations.', affordance: '↓ scroll to explore' }
-        }
-    };
-
     navBackdrop = document.createElement('div');
     navBackdrop.className = 'nav-backdrop';
 
     navCardContainer = document.createElement('div');
     navCardContainer.className = 'nav-card-container';
 
-    navigableNavButtons.forEach((button, index) => {
-        const targetSectionId = NAVIGABLE_SECTION_IDS[index];
-        const targetIndex = navigableSections.findIndex((section) => section.id === targetSectionId);
-        const sectionNum = button.dataset.section || index.toString();
-        const data = cardData[sectionNum];
-        
-        if (!data) return;
+    navigableSectionIds.forEach((sectionId, targetIndex) => {
+        const card = renderNavCard(getContentSection(sectionId), targetIndex);
 
-        const card = document.createElement('button');
-        card.type = 'button';
-        card.className = 'nav-card-item';
-        card.dataset.section = sectionNum;
-        card.dataset.navIndex = targetIndex.toString();
-        card.setAttribute('aria-label', button.getAttribute('aria-label') || button.textContent);
-
-        // Turkish container
-        const containerTr = document.createElement('div');
-        containerTr.dataset.lang = 'tr';
-        
-        const titleTr = document.createElement('span');
-        titleTr.className = 'nav-card-title';
-        titleTr.textContent = data.tr.title;
-        
-        const summaryTr = document.createElement('span');
-        summaryTr.className = 'nav-card-summary';
-        summaryTr.textContent = data.tr.summary;
-        
-        const affordanceTr = document.createElement('span');
-        affordanceTr.className = 'nav-card-affordance';
-        affordanceTr.textContent = data.tr.affordance;
-        
-        containerTr.appendChild(titleTr);
-        containerTr.appendChild(summaryTr);
-        containerTr.appendChild(affordanceTr);
-
-        // English container
-        const containerEn = document.createElement('div');
-        containerEn.dataset.lang = 'en';
-        
-        const titleEn = document.createElement('span');
-        titleEn.className = 'nav-card-title';
-        titleEn.textContent = data.en.title;
-        
-        const summaryEn = document.createElement('span');
-        summaryEn.className = 'nav-card-summary';
-        summaryEn.textContent = data.en.summary;
-        
-        const affordanceEn = document.createElement('span');
-        affordanceEn.className = 'nav-card-affordance';
-        affordanceEn.textContent = data.en.affordance;
-        
-        containerEn.appendChild(titleEn);
-        containerEn.appendChild(summaryEn);
-        containerEn.appendChild(affordanceEn);
+        if (!card) return;
 
-        card.appendChild(containerTr);
-        card.appendChild(containerEn);
+        card.dataset.navIndex = targetIndex.toString();
 
         card.addEventListener('mouseenter', () => {
             card.classList.add('is-hovered');
@@ -921,15 +1524,15 @@ function initNavCards() {
             card.classList.remove('is-hovered');
         });
         card.addEventListener('click', () => {
-            if (isNavigating) {
+            if (navState.isNavigating) {
                 return;
             }
             const targetSectionIndex = parseInt(card.dataset.navIndex, 10);
             if (!Number.isFinite(targetSectionIndex)) {
                 return;
             }
-            navigationSource = 'nav';
-            if (navMode === 'card') {
+            navState.dispatch('INTENT', { source: 'nav' });
+            if (navState.mode === 'card') {
                 enterSectionMode(targetSectionIndex);
                 return;
             }
@@ -940,11 +1543,15 @@ function initNavCards() {
         navCardItems.push(card);
     });
 
+    document.addEventListener('cv:languagechange', () => {
+        navCardItems.forEach((card) => labelNavCard(card));
+    });
+
     const container = document.querySelector('.cv-container');
     if (container) {
         container.appendChild(navBackdrop);
         container.appendChild(navCardContainer);
-        navBackdrop.classList.toggle('is-visible', navMode === 'card');
+        navBackdrop.classList.toggle('is-visible', navState.mode === 'card');
     }
     
     updateActiveSection();
@@ -966,21 +1573,34 @@ function initNavMode() {
 // ============================================
 
 /**
- * Gets the current language preference from localStorage
- * Turkish is always default on first visit; browser detection is disabled
- * @returns {string} Language code ('tr' or 'en')
+ * Gets the initial language. Precedence:
+ *   1. the URL (?lang=en or an /en/ path) - shared links always open in their language
+ *   2. the saved preference (localStorage)
+ *   3. the browser's languages (navigator.languages), on first visit
+ *   4. I18N_DEFAULT_LOCALE
+ * A #/<lang>/ route is applied after this by initRouter.
+ * @returns {string} Registered language code
  */
 function getLanguagePreference() {
+    const urlLang = getLanguageFromLocation();
+    if (urlLang) {
+        return urlLang;
+    }
     const savedLang = localStorage.getItem('lang');
-    if (savedLang === 'tr' || savedLang === 'en') {
+    if (isSupportedLocale(savedLang)) {
         return savedLang;
     }
-    return 'tr'; // Default on first visit
+    const browserLanguages = navigator.languages && navigator.languages.length
+        ? navigator.languages
+        : [navigator.language];
+    return negotiateLocale(browserLanguages) || I18N_DEFAULT_LOCALE;
 }
 
 /**
- * Saves language preference to localStorage
- * @param {string} lang - Language code ('tr' or 'en')
+ * Saves language preference to localStorage. Only a visitor's own choice
+ * (switcher, CV.setLanguage) is saved: a language from the URL, a route,
+ * an import or negotiation applies to this visit without replacing it.
+ * @param {string} lang - Registered language code
  */
 function saveLanguagePreference(lang) {
     localStorage.setItem('lang', lang);
@@ -988,88 +1608,80 @@ function saveLanguagePreference(lang) {
 
 /**
  * Switches the displayed language
- * @param {string} lang - Language code ('tr' or 'en')
+ * @param {string} lang - Registered language code (see js/locales/)
  */
 function switchLanguage(lang) {
-    console.log('[LANG SWITCH ENTRY]', { lang, langButtonsCount: langButtons.length, buttons: Array.from(langButtons).map(b => ({ dataLang: b.dataset.lang, innerText: b.innerText, display: b.style.display })) });
-    
-    // Save preference (overrides auto-detection)
-    saveLanguagePreference(lang);
+    if (!isSupportedLocale(lang)) {
+        logEvent('lang_switch', { lang, error: 'unsupported' }, 'warn');
+        return;
+    }
+    const previousLang = document.documentElement.lang;
+    logEvent('lang_switch', { lang, previous: previousLang });
     
-    // Update language switcher: show only the OTHER language (click to switch to it)
+    // Update language switcher: show only the OTHER languages (click to switch to one)
     langButtons.forEach(button => {
-        const beforeText = button.innerText;
-        const beforeDisplay = button.style.display;
         if (button.dataset.lang === lang) {
             button.style.display = 'none'; // Hide current language
         } else {
             button.style.display = '';
             button.classList.add('active'); // Show other language as the switch button
         }
-        console.log('[LANG SWITCH BUTTON]', { dataLang: button.dataset.lang, beforeText, afterText: button.innerText, beforeDisplay, afterDisplay: button.style.display });
     });
     
     // Update HTML lang attribute
     document.documentElement.lang = lang;
     
-    // Update page title
-    document.title = lang === 'tr' ? 'Kişisel CV' : 'Personal CV';
+    // Update page title, description, social preview tags and JSON-LD
+    updateDocumentMetadata(lang);
+
+    // Keep the URL's language segment in sync (no new history entry)
+    scheduleRouteSync({ replace: true });
+
+    // Tag labels differ per language; a filter from the other language matches nothing
+    clearTagFilter();
     
     // Show/hide content blocks based on language (exclude lang buttons - they use dedicated logic above)
     const allLangBlocks = document.querySelectorAll('[data-lang]');
-    const langButtonElements = Array.from(allLangBlocks).filter(b => b.classList && b.classList.contains('lang-button'));
-    console.log('[LANG BLOCKS BEFORE]', { lang, allLangBlocksCount: allLangBlocks.length, langButtonElementsCount: langButtonElements.length, langButtonStates: langButtonElements.map(b => ({ dataLang: b.dataset.lang, innerText: b.innerText, display: b.style.display })) });
     allLangBlocks.forEach(block => {
         if (block.classList && block.classList.contains('lang-button')) return; // Skip language switcher buttons
+        // hidden as well as display:none, so the other language is out of the accessibility tree by intent
+        block.hidden = block.dataset.lang !== lang;
         if (block.dataset.lang === lang) {
             block.style.display = '';
         } else {
             block.style.display = 'none';
         }
     });
-    console.log('[LANG BLOCKS AFTER]', { lang, langButtonStates: langButtonElements.map(b => ({ dataLang: b.dataset.lang, innerText: b.innerText, display: b.style.display })) });
-    
-    // Update navigation button text
-    navButtons.forEach(button => {
-        const trText = button.dataset.langTr;
-        const enText = button.dataset.langEn;
-        if (trText && enText) {
-            button.textContent = lang === 'tr' ? trText : enText;
-        }
-    });
     
-    // Update headings with data-lang attributes
-    const headings = document.querySelectorAll('h1[data-lang-tr], h2[data-lang-tr]');
-    headings.forEach(heading => {
-        const trText = heading.dataset.langTr;
-        const enText = heading.dataset.langEn;
-        if (trText && enText) {
-            heading.textContent = lang === 'tr' ? trText : enText;
+    // Update rendered text with per-language attributes (headings, nav buttons)
+    const fallbackChain = getLocaleFallbackChain(lang);
+    document.querySelectorAll('[data-localized]').forEach(element => {
+        const code = fallbackChain.find((candidate) => element.hasAttribute('data-lang-' + candidate));
+        if (code) {
+            element.textContent = element.getAttribute('data-lang-' + code);
         }
     });
-    
-    // Update links with data-lang attributes
-    const links = document.querySelectorAll('a[data-lang-tr]');
-    links.forEach(link => {
-        const trText = link.dataset.langTr;
-        const enText = link.dataset.langEn;
-        if (trText && enText) {
-            link.textContent = lang === 'tr' ? trText : enText;
-        }
-    });
-    
-    console.log('[LANG SWITCH EXIT]', { lang, finalButtonStates: Array.from(langButtons).map(b => ({ dataLang: b.dataset.lang, innerText: b.innerText, display: b.style.display })) });
+
+    // Update static UI strings from the dictionaries
+    applyTranslations();
+
+    if (lang !== previousLang) {
+        dispatchCvEvent('languagechange', { language: lang, previousLanguage: previousLang });
+    }
 }
 
 /**
  * Initializes language system
  */
 function initLanguageSystem() {
-    console.log('[LANG INIT]', { langButtonsCount: langButtons.length, buttons: Array.from(langButtons).map((b, i) => ({ index: i, dataLang: b.dataset.lang, innerText: b.innerText, className: b.className })) });
-    
-    // Get language preference (saved or detected)
+    // Get language preference (URL, saved or detected)
     const currentLang = getLanguagePreference();
-    console.log('[LANG INIT RESTORE]', { currentLang, fromLocalStorage: localStorage.getItem('lang') });
+    logEvent('lang_init', {
+        lang: currentLang,
+        fromUrl: getLanguageFromLocation(),
+        fromLocalStorage: localStorage.getItem('lang'),
+        browserLanguages: Array.from(navigator.languages || [])
+    });
     
     // Set initial language
     switchLanguage(currentLang);
@@ -1077,9 +1689,10 @@ function initLanguageSystem() {
     // Add click handlers to language switcher buttons
     langButtons.forEach(button => {
         button.addEventListener('click', () => {
-            console.log('[LANG BUTTON CLICK]', { clickedLang: button.dataset.lang, buttonInnerText: button.innerText });
             const lang = button.dataset.lang;
-            if (lang === 'tr' || lang === 'en') {
+            if (isSupportedLocale(lang)) {
+                // The visitor's choice: overrides auto-detection from now on
+                saveLanguagePreference(lang);
                 switchLanguage(lang);
             }
         });
@@ -1092,9 +1705,10 @@ function initLanguageSystem() {
 
 function verifySections() {
     const cvSections = document.querySelectorAll('.cv-section');
-    const expectedIds = ['about', 'experience', 'education', 'skills', 'projects', 'contact'];
+    const registry = getSectionRegistry();
+    const expectedIds = registry.map((entry) => entry.id);
     const viewportW = window.innerWidth;
-    const expectedScrollWidth = 6 * viewportW;
+    const expectedScrollWidth = expectedIds.length * viewportW;
     const contentStats = Array.from(sectionContents).map((el, index) => {
         const scrollHeight = el.scrollHeight;
         const clientHeight = el.clientHeight;
@@ -1104,9 +1718,9 @@ function verifySections() {
     });
     const overflowCount = contentStats.filter(s => s.canScroll).length;
     
-    console.log('[SECTION CHECK]', {
+    logEvent('section_check', {
         totalSections: cvSections.length,
-        expectedCount: 6,
+        expectedCount: expectedIds.length,
         sectionsWrapperScrollWidth: sectionsWrapper?.scrollWidth,
         windowInnerWidth: viewportW,
         expectedScrollWidth,
@@ -1119,7 +1733,7 @@ function verifySections() {
         const expectedId = expectedIds[index];
         const idMatch = section.id === expectedId;
         
-        console.log('[SECTION CHECK]', {
+        logEvent('section_check', {
             index,
             id: section.id,
             expectedId,
@@ -1131,17 +1745,26 @@ function verifySections() {
             expectedOffsetLeft: index * viewportW
         });
         
-        if (!idMatch) console.warn('[SECTION CHECK] Section missing or wrong order:', { index, expectedId, foundId: section.id });
-        if (!isDirectChildOfWrapper) console.warn('[SECTION CHECK] Section outside .sections-wrapper:', { index, id: section.id });
+        if (!idMatch) logEvent('section_check', { problem: 'Section missing or wrong order', index, expectedId, foundId: section.id }, 'warn');
+        if (!isDirectChildOfWrapper) logEvent('section_check', { problem: 'Section outside .sections-wrapper', index, id: section.id }, 'warn');
     });
     
-    if (cvSections.length !== 6) console.warn('[SECTION CHECK] Wrong section count:', cvSections.length, 'expected 6');
+    if (cvSections.length !== expectedIds.length) logEvent('section_check', { problem: 'Wrong section count', count: cvSections.length, expected: expectedIds.length }, 'warn');
+
+    // Merged sections render inside their host's content column
+    registry.forEach((entry) => {
+        entry.merged.forEach((merged) => {
+            if (!document.querySelector(`#${entry.id} .section-content [data-section-id="${merged.id}"]`)) {
+                logEvent('section_check', { problem: 'Merged section missing from its host', id: merged.id, hostId: entry.id }, 'warn');
+            }
+        });
+    });
     const offsetDeltas = [];
     for (let i = 1; i < cvSections.length; i++) {
         offsetDeltas.push(cvSections[i].offsetLeft - cvSections[i - 1].offsetLeft);
     }
     if (offsetDeltas.some(d => Math.abs(d - viewportW) > 50)) {
-        console.warn('[SECTION CHECK] offsetLeft not increasing by ~100vw:', offsetDeltas);
+        logEvent('section_check', { problem: 'offsetLeft not increasing by ~100vw', offsetDeltas }, 'warn');
     }
 }
 
@@ -1152,36 +1775,44 @@ function verifySections() {
 // Initialize when DOM is ready
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', () => {
-        relocateSkillsSection();
         verifySections();
         initLanguageSystem();
+        initThemes();
         initNavMode();
         initNavCards();
+        initAccessibility();
+        initReadingProgress();
+        initInputProfiles();
         initScrollHandlers();
-        // #region agent log
-        // fetch('http://127.0.0.1:7243/ingest/b7967069-ff3f-4945-b82f-94c4d5d7fcfe',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({sessionId:'debug-session',runId:'run1',hypothesisId:'H1',location:'main.js:1118',message:'bg_snapshot_ready',data:{bodyBg:getComputedStyle(document.body).backgroundColor,cvContainerBg:document.querySelector('.cv-container')?getComputedStyle(document.querySelector('.cv-container')).backgroundColor:null,sectionsWrapperBg:document.querySelector('.sections-wrapper')?getComputedStyle(document.querySelector('.sections-wrapper')).backgroundColor:null,cvSectionBg:document.querySelector('.cv-section')?getComputedStyle(document.querySelector('.cv-section')).backgroundColor:null},timestamp:Date.now()})}).catch(()=>{});
-        // #endregion
-        // #region agent log
-        // fetch('http://127.0.0.1:7243/ingest/b7967069-ff3f-4945-b82f-94c4d5d7fcfe',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({sessionId:'debug-session',runId:'run1',hypothesisId:'H2',location:'main.js:1119',message:'bg_overlays',data:{cvBeforeBg:getComputedStyle(document.querySelector('.cv-container'),'::before').backgroundColor,cvBeforeOpacity:getComputedStyle(document.querySelector('.cv-container'),'::before').opacity,navBackdropBg:document.querySelector('.nav-backdrop')?getComputedStyle(document.querySelector('.nav-backdrop')).backgroundColor:null,navBackdropOpacity:document.querySelector('.nav-backdrop')?getComputedStyle(document.querySelector('.nav-backdrop')).opacity:null},timestamp:Date.now()})}).catch(()=>{});
-        // #endregion
-        // #region agent log
-        // fetch('http://127.0.0.1:7243/ingest/b7967069-ff3f-4945-b82f-94c4d5d7fcfe',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({sessionId:'debug-session',runId:'run1',hypothesisId:'H3',location:'main.js:1120',message:'bg_role_vars',data:{roleBase:getComputedStyle(document.documentElement).getPropertyValue('--role-base').trim(),colorSecondary:getComputedStyle(document.documentElement).getPropertyValue('--color-secondary').trim(),navModeCard:document.body.classList.contains('nav-mode-card'),navModeSection:document.body.classList.contains('nav-mode-section')},timestamp:Date.now()})}).catch(()=>{});
-        // #endregion
+        initTagFilters();
+        initSearch();
+        initCareerTimeline();
+        initProjectDetails();
+        initMedia();
+        initPrintExport();
+        initJsonResume();
+        initRouter();
+        initDebugTools();
+        initWheelTrace();
     });
 } else {
-    relocateSkillsSection();
     verifySections();
     initLanguageSystem();
+    initThemes();
     initNavMode();
     initNavCards();
+    initAccessibility();
+    initReadingProgress();
+    initInputProfiles();
     initScrollHandlers();
-    // #region agent log
-    // fetch('http://127.0.0.1:7243/ingest/b7967069-ff3f-4945-b82f-94c4d5d7fcfe',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({sessionId:'debug-session',runId:'run1',hypothesisId:'H1',location:'main.js:1130',message:'bg_snapshot_ready',data:{bodyBg:getComputedStyle(document.body).backgroundColor,cvContainerBg:document.querySelector('.cv-container')?getComputedStyle(document.querySelector('.cv-container')).backgroundColor:null,sectionsWrapperBg:document.querySelector('.sections-wrapper')?getComputedStyle(document.querySelector('.sections-wrapper')).backgroundColor:null,cvSectionBg:document.querySelector('.cv-section')?getComputedStyle(document.querySelector('.cv-section')).backgroundColor:null},timestamp:Date.now()})}).catch(()=>{});
-    // #endregion
-    // #region agent log
-    // fetch('http://127.0.0.1:7243/ingest/b7967069-ff3f-4945-b82f-94c4d5d7fcfe',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({sessionId:'debug-session',runId:'run1',hypothesisId:'H2',location:'main.js:1131',message:'bg_overlays',data:{cvBeforeBg:getComputedStyle(document.querySelector('.cv-container'),'::before').backgroundColor,cvBeforeOpacity:getComputedStyle(document.querySelector('.cv-container'),'::before').opacity,navBackdropBg:document.querySelector('.nav-backdrop')?getComputedStyle(document.querySelector('.nav-backdrop')).backgroundColor:null,navBackdropOpacity:document.querySelector('.nav-backdrop')?getComputedStyle(document.querySelector('.nav-backdrop')).opacity:null},timestamp:Date.now()})}).catch(()=>{});
-    // #endregion
-    // #region agent log
-    // fetch('http://127.0.0.1:7243/ingest/b7967069-ff3f-4945-b82f-94c4d5d7fcfe',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({sessionId:'debug-session',runId:'run1',hypothesisId:'H3',location:'main.js:1132',message:'bg_role_vars',data:{roleBase:getComputedStyle(document.documentElement).getPropertyValue('--role-base').trim(),colorSecondary:getComputedStyle(document.documentElement).getPropertyValue('--color-secondary').trim(),navModeCard:document.body.classList.contains('nav-mode-card'),navModeSection:document.body.classList.contains('nav-mode-section')},timestamp:Date.now()})}).catch(()=>{});
-    // #endregion
+    initTagFilters();
+    initSearch();
+    initCareerTimeline();
+    initProjectDetails();
+    initMedia();
+    initPrintExport();
+    initJsonResume();
+    initRouter();
+    initDebugTools();
+    initWheelTrace();
 }
@@ -0,0 +1,201 @@
+// ============================================
+// Media: Lightbox & Content Layout Tracking
+// ============================================
+
+// js/render.js draws the media of content.js entries as lazy-loaded figures
+// whose image is a button. Activating it opens the lightbox on that image,
+// with the other images of the same entry (or project overlay) one arrow
+// key away. The lightbox owns input like the other overlays.
+//
+// Images, late fonts, filters, the timeline and language switches all
+// change how tall a .section-content is, and with it whether it scrolls,
+// where its boundaries are and what its progress is. A ResizeObserver on
+// every content column and its blocks re-evaluates that (refreshScrollHints)
+// whenever a size changes, instead of once at startup. Without
+// ResizeObserver, image load events do the same.
+
+let mediaLightbox = null;
+let lightboxImage = null;
+let lightboxCaption = null;
+let lightboxPosition = null;
+let lightboxFigures = []; // Figures the lightbox can step through
+let lightboxIndex = -1;
+let lightboxReturnFocus = null;
+let lightboxInertElements = [];
+let contentResizeObserver = null;
+let contentLayoutFrame = null;
+
+/**
+ * Re-evaluates scrollability, scroll hints and progress on the next frame
+ */
+function scheduleContentLayoutRefresh() {
+    if (contentLayoutFrame !== null) return;
+    contentLayoutFrame = requestAnimationFrame(() => {
+        contentLayoutFrame = null;
+        refreshScrollHints();
+    });
+}
+
+/**
+ * Observes every content column and its direct children (language blocks,
+ * timeline). Safe to call again after content was re-rendered.
+ */
+function observeContentLayout() {
+    if (!contentResizeObserver) return;
+    sectionContents.forEach((content) => {
+        contentResizeObserver.observe(content);
+        Array.from(content.children).forEach((child) => contentResizeObserver.observe(child));
+    });
+}
+
+/**
+ * Shows one figure of the current set in the lightbox
+ * @param {number} index - Index into lightboxFigures
+ */
+function showLightboxFigure(index) {
+    const figure = lightboxFigures[index];
+    if (!figure) return;
+    lightboxIndex = index;
+
+    const source = figure.querySelector('.media-image');
+    lightboxImage.src = source.currentSrc || source.src;
+    lightboxImage.alt = source.alt;
+    const caption = figure.querySelector('figcaption');
+    lightboxCaption.textContent = caption ? caption.textContent : '';
+    lightboxCaption.hidden = !caption;
+
+    const single = lightboxFigures.length < 2;
+    lightboxPosition.textContent = single ? '' : t('media.position', { index: index + 1, count: lightboxFigures.length });
+    mediaLightbox.querySelector('.lightbox-step-prev').disabled = index === 0;
+    mediaLightbox.querySelector('.lightbox-step-next').disabled = index === lightboxFigures.length - 1;
+    mediaLightbox.classList.toggle('is-single', single);
+}
+
+/**
+ * Opens the lightbox on a figure
+ * @param {HTMLElement} figure - A .media-figure
+ */
+function openLightbox(figure) {
+    const scope = figure.closest('[data-lang], .project-dialog') || figure.parentElement;
+    lightboxFigures = Array.from(scope.querySelectorAll('.media-figure'));
+    lightboxReturnFocus = document.activeElement;
+
+    // Everything else is inert: the page, and the project overlay it may sit on
+    lightboxInertElements = Array.from(document.body.children).filter((element) => element !== mediaLightbox && !element.inert);
+    lightboxInertElements.forEach((element) => {
+        element.inert = true;
+    });
+    suspendInputRouting('lightbox');
+    mediaLightbox.hidden = false;
+    mediaLightbox.setAttribute('aria-label', t('media.lightboxLabel'));
+    mediaLightbox.querySelector('.lightbox-close').setAttribute('aria-label', t('media.close'));
+    mediaLightbox.querySelector('.lightbox-step-prev').setAttribute('aria-label', t('media.previous'));
+    mediaLightbox.querySelector('.lightbox-step-next').setAttribute('aria-label', t('media.next'));
+    showLightboxFigure(lightboxFigures.indexOf(figure));
+    mediaLightbox.querySelector('.lightbox-close').focus();
+
+    logEvent('media', { action: 'lightbox-open', count: lightboxFigures.length });
+}
+
+/**
+ * Closes the lightbox and gives input and focus back
+ */
+function closeLightbox() {
+    if (!mediaLightbox || mediaLightbox.hidden) return;
+    mediaLightbox.hidden = true;
+    lightboxImage.removeAttribute('src');
+    lightboxInertElements.forEach((element) => {
+        element.inert = false;
+    });
+    lightboxInertElements = [];
+    lightboxFigures = [];
+    resumeInputRouting('lightbox');
+
+    if (lightboxReturnFocus && typeof lightboxReturnFocus.focus === 'function') {
+        lightboxReturnFocus.focus({ preventScroll: true });
+    }
+    lightboxReturnFocus = null;
+    logEvent('media', { action: 'lightbox-close' });
+}
+
+/**
+ * Escape closes, arrows step (Tab cannot leave: the rest of the page is inert)
+ * @param {KeyboardEvent} event
+ */
+function handleLightboxKeyDown(event) {
+    if (event.key === 'Escape') {
+        event.preventDefault();
+        closeLightbox();
+    } else if (event.key === 'ArrowLeft' || event.key === 'ArrowRight') {
+        event.preventDefault();
+        showLightboxFigure(lightboxIndex + (event.key === 'ArrowLeft' ? -1 : 1));
+    }
+}
+
+/**
+ * Builds the lightbox markup
+ * @returns {HTMLElement}
+ */
+function createLightbox() {
+    const lightbox = createContentElement('div', 'media-lightbox');
+    lightbox.hidden = true;
+    lightbox.setAttribute('role', 'dialog');
+    lightbox.setAttribute('aria-modal', 'true');
+
+    const closeButton = createContentElement('button', 'lightbox-close', '×');
+    closeButton.type = 'button';
+    closeButton.addEventListener('click', closeLightbox);
+
+    const figure = createContentElement('figure', 'lightbox-figure');
+    lightboxImage = createContentElement('img', 'lightbox-image');
+    lightboxCaption = createContentElement('figcaption', 'lightbox-caption');
+    figure.append(lightboxImage, lightboxCaption);
+
+    const previous = createContentElement('button', 'lightbox-step lightbox-step-prev', '←');
+    previous.type = 'button';
+    previous.addEventListener('click', () => showLightboxFigure(lightboxIndex - 1));
+    const next = createContentElement('button', 'lightbox-step lightbox-step-next', '→');
+    next.type = 'button';
+    next.addEventListener('click', () => showLightboxFigure(lightboxIndex + 1));
+    lightboxPosition = createContentElement('span', 'lightbox-position');
+
+    lightbox.append(closeButton, previous, figure, next, lightboxPosition);
+    lightbox.addEventListener('keydown', handleLightboxKeyDown);
+    // Click on the backdrop (outside the image and controls) closes
+    lightbox.addEventListener('mousedown', (event) => {
+        if (event.target === lightbox) closeLightbox();
+    });
+    return lightbox;
+}
+
+/**
+ * Sets up the lightbox, media load handling and content size tracking
+ */
+function initMedia() {
+    mediaLightbox = createLightbox();
+    document.body.appendChild(mediaLightbox);
+
+    // Figures live in sections and in the project overlay (outside the wrapper)
+    document.addEventListener('click', (event) => {
+        const trigger = event.target instanceof Element ? event.target.closest('.media-open') : null;
+        if (trigger) openLightbox(trigger.closest('.media-figure'));
+    });
+
+    // load and error do not bubble; capture sees them for every image
+    document.addEventListener('load', (event) => {
+        if (!(event.target instanceof Element) || !event.target.classList.contains('media-image')) return;
+        if (!contentResizeObserver) scheduleContentLayoutRefresh();
+    }, true);
+    document.addEventListener('error', (event) => {
+        if (!(event.target instanceof Element) || !event.target.classList.contains('media-image')) return;
+        // Keep the caption, drop the broken image
+        event.target.closest('.media-figure')?.classList.add('has-error');
+        logEvent('media', { action: 'error', src: event.target.getAttribute('src') }, 'warn');
+        scheduleContentLayoutRefresh();
+    }, true);
+
+    if (typeof ResizeObserver === 'function') {
+        contentResizeObserver = new ResizeObserver(scheduleContentLayoutRefresh);
+        observeContentLayout();
+    }
+}
@@ -0,0 +1,197 @@
+// ============================================
+// Document Metadata (title, Open Graph, JSON-LD)
+// ============================================
+
+// Generates the <head> metadata from CV_CONTENT for the active language:
+// <title>, description, Open Graph, Twitter card, hreflang alternates and
+// a schema.org Person as JSON-LD. Re-run from switchLanguage. Link preview
+// scrapers do not run scripts, so index.html carries a static Turkish copy
+// of the same tags; keep it in line with this output when the CV content
+// changes.
+
+/**
+ * Gets the most recent experience entry (latest end year, then start year)
+ * @returns {Object|undefined}
+ */
+function getLatestExperienceItem() {
+    const experience = CV_CONTENT.sections.find((section) => section.kind === 'experience');
+    if (!experience || !experience.items.length) return undefined;
+    const endOf = (item) => (item.period ? (item.period.end || item.period.start) : 0);
+    const startOf = (item) => (item.period ? item.period.start : 0);
+    return experience.items.slice().sort((a, b) => (endOf(b) - endOf(a)) || (startOf(b) - startOf(a)))[0];
+}
+
+/**
+ * Gets the canonical URL of a language version (?lang=<code>, no hash)
+ * @param {string} lang - Language code
+ * @returns {string|null} Null when the page is not served over http(s)
+ */
+function getCanonicalUrl(lang) {
+    return getLanguageVersionUrl(lang);
+}
+
+/**
+ * Creates or updates a <link> tag in <head>
+ * @param {string} selector - Identifies the tag, e.g. 'link[rel="canonical"]'
+ * @param {Object<string, string>} attributes - Set on the tag
+ * @param {string|null} href - Removes the tag when empty
+ */
+function setLinkTag(selector, attributes, href) {
+    let tag = document.head.querySelector(selector);
+    if (!href) {
+        if (tag) tag.remove();
+        return;
+    }
+    if (!tag) {
+        tag = document.createElement('link');
+        Object.keys(attributes).forEach((name) => tag.setAttribute(name, attributes[name]));
+        document.head.appendChild(tag);
+    }
+    tag.setAttribute('href', href);
+}
+
+/**
+ * Writes <link rel="alternate" hreflang> for every language version plus
+ * x-default (no ?lang, so the visitor's browser languages decide)
+ */
+function updateHreflangLinks() {
+    document.head.querySelectorAll('link[rel="alternate"][hreflang]').forEach((tag) => tag.remove());
+    if (!getLanguageVersionUrl(null)) return;
+
+    getAvailableLocales().concat('x-default').forEach((code) => {
+        const tag = document.createElement('link');
+        tag.rel = 'alternate';
+        tag.hreflang = code;
+        tag.href = getLanguageVersionUrl(code === 'x-default' ? null : code);
+        document.head.appendChild(tag);
+    });
+}
+
+/**
+ * Builds the metadata values for one language
+ * @param {string} lang - Language code
+ * @returns {{title: string, description: string, jobTitle: string|undefined, organization: string|undefined}}
+ */
+function buildPageMetadata(lang) {
+    const latest = getLatestExperienceItem();
+    const latestText = latest ? getLocalized(latest.text, lang) : null;
+    const about = CV_CONTENT.sections.find((section) => section.kind === 'prose');
+    const summary = about && about.card ? getLocalized(about.card.summary, lang) : '';
+    const jobTitle = latestText ? latestText.role : undefined;
+
+    return {
+        title: jobTitle ? `${CV_CONTENT.person.name} - ${jobTitle}` : CV_CONTENT.person.name,
+        description: (summary || '').trim(),
+        jobTitle,
+        organization: latestText ? latestText.organization : undefined
+    };
+}
+
+/**
+ * Builds the schema.org Person for one language
+ * @param {string} lang - Language code
+ * @returns {Object} JSON-LD document
+ */
+function buildPersonJsonLd(lang) {
+    const metadata = buildPageMetadata(lang);
+    const education = CV_CONTENT.sections.find((section) => section.kind === 'education');
+    const contact = CV_CONTENT.sections.find((section) => section.kind === 'contact');
+    const url = getCanonicalUrl(lang);
+
+    const person = {
+        '@context': 'https://schema.org',
+        '@type': 'Person',
+        name: CV_CONTENT.person.name,
+        email: 'mailto:' + CV_CONTENT.person.email,
+        description: metadata.description
+    };
+    if (url) person.url = url;
+    if (metadata.jobTitle) person.jobTitle = metadata.jobTitle;
+    if (metadata.organization) {
+        person.worksFor = { '@type': 'Organization', name: metadata.organization };
+    }
+
+    if (education && education.items.length) {
+        const institutions = [];
+        education.items.forEach((item) => {
+            const text = getLocalized(item.text, lang);
+            if (text && text.institution && !institutions.includes(text.institution)) {
+                institutions.push(text.institution);
+            }
+        });
+        person.alumniOf = institutions.map((name) => ({ '@type': 'CollegeOrUniversity', name }));
+    }
+
+    if (contact) {
+        const profiles = contact.links
+            .filter((link) => /^https?:/.test(link.href))
+            .map((link) => link.href);
+        if (contact.otherLinks) profiles.push(contact.otherLinks.href);
+        if (profiles.length) person.sameAs = profiles;
+    }
+
+    return person;
+}
+
+/**
+ * Creates or updates a <meta> tag in <head>
+ * @param {'name'|'property'} attribute - Key attribute (Open Graph uses property)
+ * @param {string} key - e.g. 'description', 'og:title'
+ * @param {string|undefined} content - Removes the tag when empty
+ */
+function setMetaTag(attribute, key, content) {
+    let tag = document.head.querySelector(`meta[${attribute}="${key}"]`);
+    if (!content) {
+        if (tag) tag.remove();
+        return;
+    }
+    if (!tag) {
+        tag = document.createElement('meta');
+        tag.setAttribute(attribute, key);
+        document.head.appendChild(tag);
+    }
+    tag.setAttribute('content', content);
+}
+
+/**
+ * Writes title, description, Open Graph, Twitter and JSON-LD for a language
+ * @param {string} lang - Language code
+ */
+function updateDocumentMetadata(lang) {
+    const metadata = buildPageMetadata(lang);
+    const url = getCanonicalUrl(lang);
+
+    document.title = metadata.title;
+    setMetaTag('name', 'description', metadata.description);
+    setLinkTag('link[rel="canonical"]', { rel: 'canonical' }, url);
+    updateHreflangLinks();
+
+    setMetaTag('property', 'og:type', 'profile');
+    setMetaTag('property', 'og:title', metadata.title);
+    setMetaTag('property', 'og:description', metadata.description);
+    setMetaTag('property', 'og:url', url);
+    setMetaTag('property', 'og:locale', t('meta.ogLocale', {}, lang));
+    // og:locale:alternate is repeated, one tag per other language
+    document.head.querySelectorAll('meta[property="og:locale:alternate"]').forEach((tag) => tag.remove());
+    getAvailableLocales().filter((code) => code !== lang).forEach((code) => {
+        const tag = document.createElement('meta');
+        tag.setAttribute('property', 'og:locale:alternate');
+        tag.setAttribute('content', t('meta.ogLocale', {}, code));
+        document.head.appendChild(tag);
+    });
+
+    setMetaTag('name', 'twitter:card', 'summary');
+    setMetaTag('name', 'twitter:title', metadata.title);
+    setMetaTag('name', 'twitter:description', metadata.description);
+
+    let jsonLd = document.getElementById('person-jsonld');
+    if (!jsonLd) {
+        jsonLd = document.createElement('script');
+        jsonLd.type = 'application/ld+json';
+        jsonLd.id = 'person-jsonld';
+        document.head.appendChild(jsonLd);
+    }
+    jsonLd.textContent = JSON.stringify(buildPersonJsonLd(lang), null, 2);
+
+    logEvent('metadata', { lang, title: metadata.title });
+}
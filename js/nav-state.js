@@ -0,0 +1,253 @@
+// ============================================
+// Navigation State Machine
+// ============================================
+
+// All navigation state (card/section mode, the animation lock, which input
+// owns the current navigation, post-navigation lockouts, burst/gesture
+// freshness) lives in one machine. It changes only through the events in
+// NAV_TRANSITIONS; an event outside its declared source states is rejected
+// and reported to subscribers, never applied.
+//
+// Time comes from an injected clock ({ now }), so the guards can be driven
+// by a virtual clock: js/wheel-trace.js replays recorded input through it,
+// and the module loads headless in Node (see module.exports at the end):
+//   const { createNavStateMachine } = require('./js/nav-state.js');
+//   const nav = createNavStateMachine({ clock: { now: () => t } });
+// tests/nav-state.test.js does exactly that (npm test).
+
+/** Thresholds; the input profiles (js/input-profiles.js) reconfigure them per device */
+const NAV_STATE_DEFAULTS = {
+    cooldownMs: 100,      // Minimum ms between input-driven navigations
+    postNavLockMs: 250,   // Lockout after a wheel/key/touch navigation completes (momentum)
+    burstGapMs: 120       // Pause that makes a wheel event the start of a new burst
+};
+
+/**
+ * Declared transitions.
+ *   phase / mode: states the event is accepted in (omitted = any)
+ *   apply: the state change
+ * Phases: 'idle' | 'navigating'. Modes: 'card' | 'section'.
+ */
+const NAV_TRANSITIONS = {
+    // An input claims the next navigation (wheel, key, touch or nav click/route)
+    INTENT: {
+        phase: ['idle'],
+        apply(state, payload, now) {
+            state.source = payload.source;
+            if (payload.source !== 'nav') {
+                state.lastInputTime = now; // Starts the cooldown
+            }
+        }
+    },
+    // The claimed input did not start a navigation (already at the first/last section)
+    INTENT_DROPPED: {
+        phase: ['idle'],
+        apply(state) {
+            state.source = null;
+        }
+    },
+    NAV_START: {
+        phase: ['idle'],
+        apply(state, payload) {
+            state.phase = 'navigating';
+            state.targetIndex = payload.index;
+        }
+    },
+    // Animation finished: release the lock and arm the lockout for the input that drove it
+    NAV_COMPLETE: {
+        phase: ['navigating'],
+        apply(state, payload, now, config) {
+            if (state.source === 'wheel') {
+                state.lockUntil = now + config.postNavLockMs;
+                state.requiresFreshBurst = true;
+            } else if (state.source === 'key') {
+                // Same lockout as wheel; auto-repeat is absorbed before it gets here
+                state.lockUntil = now + config.postNavLockMs;
+            } else if (state.source === 'touch') {
+                state.lockUntil = now + config.postNavLockMs;
+                state.requiresFreshGesture = true;
+            }
+            state.phase = 'idle';
+            state.source = null;
+        }
+    },
+    ENTER_SECTION: {
+        mode: ['card'],
+        apply(state) {
+            state.mode = 'section';
+        }
+    },
+    RETURN_TO_CARD: {
+        mode: ['section'],
+        apply(state) {
+            state.mode = 'card';
+        }
+    }
+};
+
+/**
+ * @param {Object} [overrides]
+ * @returns {Object} A fresh navigation state
+ */
+function createInitialNavState(overrides) {
+    return Object.assign({
+        mode: 'card',
+        phase: 'idle',
+        source: null,              // 'wheel' | 'key' | 'touch' | 'nav' | null
+        targetIndex: 0,            // Section being navigated to (kept after completion)
+        lockUntil: 0,              // Post-navigation lockout end
+        lastInputTime: 0,          // Last input-driven navigation (cooldown start)
+        lastWheelEventTime: 0,     // Last wheel event of any kind (burst detection)
+        requiresFreshBurst: false, // After a wheel navigation, a new burst is needed
+        requiresFreshGesture: false // After a swipe navigation, a paused new gesture is needed
+    }, overrides);
+}
+
+// ============================================
+// Guards
+// ============================================
+
+/**
+ * Checks the guards shared by wheel, keyboard and touch navigation
+ * @param {Object} state
+ * @param {number} now
+ * @param {Object} config
+ * @returns {'nav-in-progress'|'navigating'|'post-nav-lock'|'cooldown'|null} Why navigation is blocked, or null
+ */
+function getNavBlockReason(state, now, config) {
+    if (state.source === 'nav') return 'nav-in-progress';
+    if (state.phase === 'navigating') return 'navigating';
+    if (now < state.lockUntil) return 'post-nav-lock';
+    if (now - state.lastInputTime < config.cooldownMs) return 'cooldown';
+    return null;
+}
+
+/**
+ * Checks the wheel-only gates, once the wheel has reached a boundary
+ * (navigation in progress is checked before that)
+ * @param {Object} state
+ * @param {number} now
+ * @param {number} gapSinceLastWheel - ms since the previous wheel event
+ * @param {Object} config
+ * @returns {'fresh-burst'|'post-nav-lock'|'cooldown'|null}
+ */
+function getWheelBlockReason(state, now, gapSinceLastWheel, config) {
+    if (state.requiresFreshBurst && gapSinceLastWheel < config.burstGapMs) return 'fresh-burst';
+    if (now < state.lockUntil) return 'post-nav-lock';
+    if (now - state.lastInputTime < config.cooldownMs) return 'cooldown';
+    return null;
+}
+
+// ============================================
+// Machine
+// ============================================
+
+/**
+ * Creates a navigation state machine
+ * @param {{clock?: {now: function(): number}, config?: Object, initial?: Object}} [options]
+ * @returns {Object} Machine: read-only state getters, dispatch, guards, subscribe
+ */
+function createNavStateMachine(options = {}) {
+    const clock = options.clock || { now: () => Date.now() };
+    const config = Object.assign({}, NAV_STATE_DEFAULTS, options.config);
+    const state = createInitialNavState(options.initial);
+    const listeners = new Set();
+
+    const snapshot = () => Object.assign({}, state);
+
+    function emit(transition) {
+        listeners.forEach((listener) => {
+            try {
+                listener(transition);
+            } catch (error) {
+                // A subscriber must never break navigation
+            }
+        });
+    }
+
+    /**
+     * Applies an event if the current state accepts it
+     * @param {string} event - A key of NAV_TRANSITIONS
+     * @param {Object} [payload]
+     * @returns {boolean} False if the event was rejected
+     */
+    function dispatch(event, payload = {}) {
+        const rule = NAV_TRANSITIONS[event];
+        if (!rule) {
+            throw new Error(`Unknown navigation event: ${event}`);
+        }
+        const from = snapshot();
+        if ((rule.phase && !rule.phase.includes(state.phase)) || (rule.mode && !rule.mode.includes(state.mode))) {
+            emit({ event, payload, accepted: false, from, to: from });
+            return false;
+        }
+        rule.apply(state, payload, clock.now(), config);
+        emit({ event, payload, accepted: true, from, to: snapshot() });
+        return true;
+    }
+
+    return {
+        get mode() { return state.mode; },
+        get isNavigating() { return state.phase === 'navigating'; },
+        get source() { return state.source; },
+        get targetIndex() { return state.targetIndex; },
+        get config() { return Object.assign({}, config); },
+        getState: snapshot,
+        dispatch,
+
+        /**
+         * Records a wheel event of any kind
+         * @returns {number} ms since the previous one (Infinity for the first)
+         */
+        noteWheelEvent() {
+            const now = clock.now();
+            const gap = state.lastWheelEventTime ? (now - state.lastWheelEventTime) : Number.POSITIVE_INFINITY;
+            state.lastWheelEventTime = now;
+            return gap;
+        },
+        getBlockReason() {
+            return getNavBlockReason(state, clock.now(), config);
+        },
+        getWheelBlockReason(gapSinceLastWheel) {
+            return getWheelBlockReason(state, clock.now(), gapSinceLastWheel, config);
+        },
+
+        /**
+         * Replaces thresholds (e.g. when the input device profile changes)
+         * @param {Object} overrides - Keys of NAV_STATE_DEFAULTS
+         */
+        configure(overrides) {
+            Object.assign(config, overrides);
+        },
+
+        /**
+         * Overwrites state fields without a transition (replays, tests)
+         * @param {Object} fields
+         */
+        reset(fields) {
+            const from = snapshot();
+            Object.assign(state, fields);
+            emit({ event: 'RESET', payload: fields, accepted: true, from, to: snapshot() });
+        },
+
+        /**
+         * @param {function(Object): void} listener - Receives { event, payload, accepted, from, to }
+         * @returns {function(): void} Unsubscribe
+         */
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        }
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        NAV_STATE_DEFAULTS,
+        NAV_TRANSITIONS,
+        createInitialNavState,
+        createNavStateMachine,
+        getNavBlockReason,
+        getWheelBlockReason
+    };
+}
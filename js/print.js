@@ -0,0 +1,59 @@
+// ============================================
+// Print / PDF Export
+// ============================================
+
+// The layout itself lives in the @media print block of css/style.css:
+// every section stacked vertically, active language only, merged
+// sections inside their host, navigation chrome hidden. This module wires the
+// toolbar action and names the document, since browsers use the title as
+// the default PDF file name.
+
+let titleBeforePrint = null;
+
+/**
+ * Builds the document title used while printing
+ * @returns {string} e.g. "Emircan Saç - CV"
+ */
+function getPrintTitle() {
+    return `${CV_CONTENT.person.name} - ${t('print.titleSuffix')}`;
+}
+
+/**
+ * Prepares the page for printing (also runs for the browser's own Print command)
+ */
+function handleBeforePrint() {
+    if (titleBeforePrint === null) {
+        titleBeforePrint = document.title;
+    }
+    document.title = getPrintTitle();
+    logEvent('print', { title: document.title, lang: getLocale() });
+}
+
+/**
+ * Restores the page after the print dialog closes
+ */
+function handleAfterPrint() {
+    if (titleBeforePrint !== null) {
+        document.title = titleBeforePrint;
+        titleBeforePrint = null;
+    }
+}
+
+/**
+ * Opens the print dialog ("Save as PDF" produces the CV document)
+ */
+function exportPdf() {
+    window.print();
+}
+
+/**
+ * Initializes the toolbar action and print lifecycle hooks
+ */
+function initPrintExport() {
+    const printButton = document.querySelector('.print-button');
+    if (printButton) {
+        printButton.addEventListener('click', exportPdf);
+    }
+    window.addEventListener('beforeprint', handleBeforePrint);
+    window.addEventListener('afterprint', handleAfterPrint);
+}
@@ -0,0 +1,200 @@
+// ============================================
+// Reading Progress & Section Minimap
+// ============================================
+
+// Section mode shows where the visitor is, vertically and horizontally
+// (desktop only: stacked mobile sections scroll the page and have neither):
+//   - a bar beside each section's content, filled as far as it is scrolled
+//     (content that does not scroll counts as fully read)
+//   - a minimap of the navigable sections: each segment fills with its
+//     section's progress once the section has been shown (until then it
+//     is empty), the current one is outlined, and a section is
+//     marked read once READ_PROGRESS_THRESHOLD is reached while it is on
+//     screen. Clicking a segment navigates like a nav button does.
+// At the bottom edge of the content the next wheel or arrow step leaves the
+// section, so the minimap marks the next segment and names it beforehand.
+// The minimap repeats the tablist for pointer users; it is hidden from
+// assistive technology and not a tab stop.
+
+const READ_PROGRESS_THRESHOLD = 0.9;
+
+const visitedSectionIds = new Set(); // Shown in section mode; for this visit only
+const readSectionIds = new Set();
+let sectionMinimap = null;
+let minimapSegments = [];
+let minimapCue = null;
+let sectionProgressBars = [];
+let boundaryCueIndex = -1; // Navigable index of the section the cue names
+let readingProgressFrame = null;
+
+/**
+ * Measures how far a section's content is scrolled
+ * @param {HTMLElement} sectionContent
+ * @returns {number} 0–1; 1 if the content does not scroll
+ */
+function getSectionProgress(sectionContent) {
+    if (!canScrollVertically(sectionContent)) {
+        return 1;
+    }
+    const scrollable = sectionContent.scrollHeight - sectionContent.clientHeight;
+    return Math.min(1, Math.max(0, sectionContent.scrollTop / scrollable));
+}
+
+/**
+ * Finds the section the next downward step would cross into
+ * @param {number} currentIndex - Current navigable section index
+ * @returns {number} Navigable index, or -1 if no crossing is imminent
+ */
+function getBoundaryCueIndex(currentIndex) {
+    if (navState.mode !== 'section' || navState.isNavigating || isMobile()) {
+        return -1;
+    }
+    const nextIndex = currentIndex + 1;
+    const content = navigableSections[currentIndex]?.querySelector('.section-content');
+    if (nextIndex >= navigableSections.length || !content) {
+        return -1;
+    }
+    return isAtBottom(content) ? nextIndex : -1;
+}
+
+/**
+ * Updates the progress bars, the minimap and the boundary cue
+ */
+function updateReadingProgress() {
+    readingProgressFrame = null;
+    const currentIndex = getCurrentSection();
+    const onScreen = navState.mode === 'section' && !navState.isNavigating && !isMobile();
+
+    navigableSections.forEach((section, index) => {
+        const sectionId = navigableSectionIds[index];
+        if (onScreen && index === currentIndex) {
+            visitedSectionIds.add(sectionId);
+        }
+        const progress = visitedSectionIds.has(sectionId)
+            ? getSectionProgress(section.querySelector('.section-content'))
+            : 0;
+
+        if (onScreen && index === currentIndex && progress >= READ_PROGRESS_THRESHOLD && !readSectionIds.has(sectionId)) {
+            readSectionIds.add(sectionId);
+            logEvent('reading_progress', { event: 'read', sectionId, read: readSectionIds.size });
+        }
+
+        const bar = sectionProgressBars[index];
+        if (bar) {
+            bar.style.setProperty('--progress', progress);
+        }
+
+        const segment = minimapSegments[index];
+        if (segment) {
+            segment.style.setProperty('--progress', progress);
+            segment.classList.toggle('is-current', index === currentIndex);
+            segment.classList.toggle('is-read', readSectionIds.has(sectionId));
+            const contentSection = getContentSection(sectionId);
+            segment.title = t('progress.segmentLabel', {
+                section: contentSection ? getLocalized(contentSection.title, getLocale()) : sectionId,
+                percent: formatNumber(progress, { style: 'percent' })
+            });
+        }
+    });
+
+    updateBoundaryCue(getBoundaryCueIndex(currentIndex));
+}
+
+/**
+ * Shows or hides the warning that the next step leaves the section
+ * @param {number} index - Navigable index of the next section, or -1
+ */
+function updateBoundaryCue(index) {
+    if (!sectionMinimap) return;
+    minimapSegments.forEach((segment, segmentIndex) => {
+        segment.classList.toggle('is-upcoming', segmentIndex === index);
+    });
+
+    if (index !== -1) {
+        const contentSection = getContentSection(navigableSectionIds[index]);
+        minimapCue.textContent = t('progress.nextCue', {
+            section: contentSection ? getLocalized(contentSection.title, getLocale()) : navigableSectionIds[index]
+        });
+    }
+    sectionMinimap.classList.toggle('has-cue', index !== -1);
+
+    if (index !== boundaryCueIndex) {
+        boundaryCueIndex = index;
+        if (index !== -1) {
+            logEvent('reading_progress', { event: 'boundary', nextSectionId: navigableSectionIds[index] });
+        }
+    }
+}
+
+/**
+ * Coalesces updates to one per frame (content scroll fires continuously)
+ */
+function scheduleReadingProgressUpdate() {
+    if (readingProgressFrame !== null) return;
+    readingProgressFrame = requestAnimationFrame(updateReadingProgress);
+}
+
+/**
+ * Navigates to the section of a clicked minimap segment
+ * @param {MouseEvent} event
+ */
+function handleMinimapClick(event) {
+    const segment = event.target.closest('.minimap-segment');
+    if (!segment) return;
+    logEvent('nav_intent', { input: 'minimap', sectionId: segment.dataset.section });
+    goToSectionById(segment.dataset.section);
+}
+
+/**
+ * Builds the minimap and the per-section bars and follows scroll, navigation and language
+ */
+function initReadingProgress() {
+    if (!navigableSections.length) return;
+
+    sectionMinimap = document.createElement('div');
+    sectionMinimap.className = 'section-minimap';
+    sectionMinimap.setAttribute('aria-hidden', 'true');
+
+    const track = document.createElement('div');
+    track.className = 'section-minimap-track';
+    minimapSegments = navigableSectionIds.map((sectionId) => {
+        const segment = document.createElement('button');
+        segment.type = 'button';
+        segment.className = 'minimap-segment';
+        segment.tabIndex = -1;
+        segment.dataset.section = sectionId;
+        const fill = document.createElement('span');
+        fill.className = 'minimap-segment-fill';
+        segment.appendChild(fill);
+        track.appendChild(segment);
+        return segment;
+    });
+    track.addEventListener('click', handleMinimapClick);
+
+    minimapCue = document.createElement('div');
+    minimapCue.className = 'section-minimap-cue';
+    sectionMinimap.append(track, minimapCue);
+    document.body.appendChild(sectionMinimap);
+
+    sectionProgressBars = navigableSections.map((section) => {
+        const bar = document.createElement('div');
+        bar.className = 'section-progress';
+        bar.setAttribute('aria-hidden', 'true');
+        const fill = document.createElement('div');
+        fill.className = 'section-progress-fill';
+        bar.appendChild(fill);
+        section.appendChild(bar);
+        section.querySelector('.section-content')?.addEventListener('scroll', scheduleReadingProgressUpdate, { passive: true });
+        return bar;
+    });
+
+    // Mode changes and navigation start/end move the current section and the cue
+    navState.subscribe(({ accepted }) => {
+        if (accepted) scheduleReadingProgressUpdate();
+    });
+    ['cv:sectionchange', 'cv:languagechange'].forEach((name) => {
+        document.addEventListener(name, scheduleReadingProgressUpdate);
+    });
+    window.addEventListener('resize', scheduleReadingProgressUpdate);
+    scheduleReadingProgressUpdate();
+}
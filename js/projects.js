@@ -0,0 +1,247 @@
+// ============================================
+// Project Detail Overlay
+// ============================================
+
+// Each .project-item has a "Details" button that opens the project in an
+// overlay: title, period, funder and partners, the full text, tags, the
+// project's media (if content.js declares any), and previous/next controls.
+// The project id in content.js is its URL slug:
+//   #/en/projects/greenwashing-watch
+// so a single project can be linked; js/router.js parses and writes it.
+//
+// While open, the overlay owns input (suspendInputRouting): the wheel and
+// arrow keys never move the sections behind it. Arrow keys step between
+// projects instead, Escape closes, and the page behind is inert.
+
+const PROJECT_SECTION_ID = 'projects';
+
+let projectOverlay = null;
+let projectDialog = null;
+let openProjectId = null;
+let projectReturnFocus = null;
+
+/**
+ * @returns {Object[]} Project entries from CV_CONTENT, in page order
+ */
+function getProjectItems() {
+    const section = getContentSection(PROJECT_SECTION_ID);
+    return section ? section.items || [] : [];
+}
+
+/**
+ * @param {string} projectId
+ * @returns {boolean} True if a project has this id (slug)
+ */
+function isProjectId(projectId) {
+    return getProjectItems().some((item) => item.id === projectId);
+}
+
+/**
+ * @returns {string|null} Id of the project shown in the overlay
+ */
+function getOpenProjectId() {
+    return openProjectId;
+}
+
+/**
+ * Builds a label/value pair of the metadata list (skipped without a value)
+ * @param {HTMLElement} list - The <dl>
+ * @param {string} labelId - Message ID of the label
+ * @param {string} [value]
+ */
+function appendProjectMeta(list, labelId, value) {
+    if (!value) return;
+    list.appendChild(createContentElement('dt', null, t(labelId)));
+    list.appendChild(createContentElement('dd', null, value));
+}
+
+/**
+ * Fills the dialog with a project in the active language
+ * @param {string} projectId
+ */
+function renderProjectDetail(projectId) {
+    const lang = getLocale();
+    const items = getProjectItems();
+    const index = items.findIndex((item) => item.id === projectId);
+    const item = items[index];
+    const text = getLocalized(item.text, lang) || {};
+
+    const closeButton = createContentElement('button', 'project-close', '×');
+    closeButton.type = 'button';
+    closeButton.setAttribute('aria-label', t('project.close'));
+    closeButton.addEventListener('click', () => closeProjectDetail());
+
+    const title = createContentElement('h2', 'project-detail-title', text.title);
+    title.id = 'project-detail-title';
+
+    const children = [closeButton];
+    const gallery = renderMediaGallery(item.media, lang);
+    if (gallery) {
+        gallery.classList.add('project-detail-media');
+        children.push(gallery);
+    }
+    children.push(title);
+
+    const meta = createContentElement('dl', 'project-detail-meta');
+    appendProjectMeta(meta, 'project.period', formatPeriod(item.period, lang));
+    appendProjectMeta(meta, 'project.funder', text.funder);
+    appendProjectMeta(meta, 'project.partners', (text.partners || []).join(', '));
+    children.push(meta);
+
+    const body = createContentElement('div', 'project-detail-body');
+    appendParagraphs(body, text.paragraphs);
+    const tagList = renderTagList(text.tags);
+    if (tagList) body.appendChild(tagList);
+    children.push(body);
+
+    const pager = createContentElement('nav', 'project-detail-pager');
+    pager.setAttribute('aria-label', t('project.pagerLabel'));
+    [[-1, 'project.previous', '←'], [1, 'project.next', '→']].forEach(([step, labelId, arrow]) => {
+        const neighbour = items[index + step];
+        const button = createContentElement('button', `project-step project-step-${step < 0 ? 'prev' : 'next'}`);
+        button.type = 'button';
+        button.disabled = !neighbour;
+        button.textContent = step < 0 ? `${arrow} ${t(labelId)}` : `${t(labelId)} ${arrow}`;
+        if (neighbour) {
+            button.title = (getLocalized(neighbour.text, lang) || {}).title || neighbour.id;
+            button.addEventListener('click', () => showAdjacentProject(step));
+        }
+        pager.appendChild(button);
+    });
+    pager.insertBefore(
+        createContentElement('span', 'project-detail-position', t('project.position', { index: index + 1, count: items.length })),
+        pager.lastChild
+    );
+    children.push(pager);
+
+    projectDialog.replaceChildren(...children);
+    projectDialog.scrollTop = 0;
+}
+
+/**
+ * Opens the overlay on a project
+ * @param {string} projectId
+ * @returns {boolean} False for an unknown project
+ */
+function openProjectDetail(projectId) {
+    if (!projectOverlay || !isProjectId(projectId)) {
+        return false;
+    }
+    if (openProjectId === projectId) {
+        return true;
+    }
+
+    if (!openProjectId) {
+        projectReturnFocus = document.activeElement;
+        suspendInputRouting('project');
+        projectOverlay.hidden = false;
+        document.body.classList.add('has-project-open');
+        const container = document.querySelector('.cv-container');
+        if (container) container.inert = true;
+    }
+    openProjectId = projectId;
+    renderProjectDetail(projectId);
+    projectDialog.focus({ preventScroll: true });
+
+    logEvent('project', { action: 'open', projectId });
+    scheduleRouteSync();
+    return true;
+}
+
+/**
+ * Closes the overlay and gives input back to the page
+ * @param {{restoreFocus?: boolean}} [options]
+ */
+function closeProjectDetail(options = {}) {
+    if (!openProjectId) {
+        return;
+    }
+    const projectId = openProjectId;
+    openProjectId = null;
+    projectOverlay.hidden = true;
+    projectDialog.replaceChildren();
+    document.body.classList.remove('has-project-open');
+    const container = document.querySelector('.cv-container');
+    if (container) container.inert = false;
+    resumeInputRouting('project');
+
+    if (options.restoreFocus !== false && projectReturnFocus && typeof projectReturnFocus.focus === 'function') {
+        projectReturnFocus.focus({ preventScroll: true });
+    }
+    projectReturnFocus = null;
+
+    logEvent('project', { action: 'close', projectId });
+    scheduleRouteSync();
+}
+
+/**
+ * Shows the previous or next project (replaces the history entry)
+ * @param {1|-1} step
+ */
+function showAdjacentProject(step) {
+    const items = getProjectItems();
+    const index = items.findIndex((item) => item.id === openProjectId);
+    const neighbour = items[index + step];
+    if (!neighbour) return;
+    openProjectDetail(neighbour.id);
+    scheduleRouteSync({ replace: true });
+    // The pager was re-rendered under the pointer; keep keyboard users on it
+    const stepButton = projectDialog.querySelector(`.project-step-${step < 0 ? 'prev' : 'next'}`);
+    if (stepButton && !stepButton.disabled) stepButton.focus({ preventScroll: true });
+}
+
+/**
+ * Keys while the overlay is open: Escape closes, arrows step between projects
+ * @param {KeyboardEvent} event
+ */
+function handleProjectKeyDown(event) {
+    if (event.key === 'Escape') {
+        event.preventDefault();
+        closeProjectDetail();
+    } else if ((event.key === 'ArrowLeft' || event.key === 'ArrowRight') && !isEditableTarget(event.target)) {
+        event.preventDefault();
+        showAdjacentProject(event.key === 'ArrowLeft' ? -1 : 1);
+    }
+}
+
+/**
+ * Builds the overlay and wires the Details buttons
+ */
+function initProjectDetails() {
+    projectOverlay = createContentElement('div', 'project-overlay');
+    projectOverlay.hidden = true;
+    projectDialog = createContentElement('div', 'project-dialog');
+    projectDialog.setAttribute('role', 'dialog');
+    projectDialog.setAttribute('aria-modal', 'true');
+    projectDialog.setAttribute('aria-labelledby', 'project-detail-title');
+    projectDialog.tabIndex = -1;
+    projectOverlay.appendChild(projectDialog);
+    document.body.appendChild(projectOverlay);
+
+    projectOverlay.addEventListener('keydown', handleProjectKeyDown);
+    // Click on the backdrop (outside the dialog) closes
+    projectOverlay.addEventListener('mousedown', (event) => {
+        if (event.target === projectOverlay) {
+            closeProjectDetail();
+        }
+    });
+
+    sectionsWrapper.addEventListener('click', (event) => {
+        const button = event.target instanceof Element ? event.target.closest('.project-detail-button') : null;
+        if (button) {
+            openProjectDetail(button.dataset.projectId);
+        }
+    });
+
+    document.addEventListener('cv:languagechange', () => {
+        if (openProjectId) renderProjectDetail(openProjectId);
+    });
+    // The overlay belongs to the Projects section: close it when CV.goTo or
+    // CV.setMode leaves it (input is suspended, so nothing else can)
+    navState.subscribe(({ event, accepted, to }) => {
+        if (!accepted) return;
+        const leaving = event === 'RETURN_TO_CARD' ||
+            (event === 'NAV_START' && navigableSectionIds[to.targetIndex] !== PROJECT_SECTION_ID);
+        if (leaving) closeProjectDetail({ restoreFocus: false });
+    });
+}
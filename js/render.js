@@ -0,0 +1,473 @@
+// ============================================
+// Content Renderer (CV_CONTENT → DOM)
+// ============================================
+
+// Builds the .cv-section markup, .section-nav buttons and language switcher
+// from CV_CONTENT (js/content.js), laid out by the section registry
+// (js/sections.js), and the registered locales (js/i18n.js), and provides
+// the nav card builder used by initNavCards.
+// Runs before main.js, which queries the rendered DOM at load.
+
+// Images span the content column (680px minus padding) or the phone screen
+const MEDIA_DEFAULT_SIZES = '(max-width: 768px) 100vw, 616px';
+
+/**
+ * Reads a localized field through the locale fallback chain
+ * @param {Object<string, *>} localized - Object keyed by language code
+ * @param {string} lang - Language code
+ * @returns {*} Localized value (or undefined)
+ */
+function getLocalized(localized, lang) {
+    if (!localized) return undefined;
+    for (const code of getLocaleFallbackChain(lang)) {
+        if (localized[code] !== undefined) return localized[code];
+    }
+    return localized[CV_CONTENT.languages[0]];
+}
+
+/**
+ * Lists the languages that get a rendered block: every content language
+ * and every UI locale (a UI-only locale shows fallback content)
+ * @returns {string[]}
+ */
+function getRenderLanguages() {
+    const languages = CV_CONTENT.languages.slice();
+    getAvailableLocales().forEach((code) => {
+        if (!languages.includes(code)) languages.push(code);
+    });
+    return languages;
+}
+
+/**
+ * Formats a period as it appears in headings, e.g. "2019-2022" or "2024"
+ * @param {{start: number, end?: number}} period
+ * @param {string} [lang] - Locale for the year numerals
+ * @returns {string}
+ */
+function formatPeriod(period, lang) {
+    if (!period) return '';
+    const formatYear = (year) => formatDate(new Date(year, 0, 1), { year: 'numeric' }, lang);
+    if (!period.end || period.end === period.start) return formatYear(period.start);
+    return formatYear(period.start) + '-' + formatYear(period.end);
+}
+
+/**
+ * Finds a section declaration by id
+ * @param {string} sectionId
+ * @returns {Object|undefined} Section entry from CV_CONTENT.sections
+ */
+function getContentSection(sectionId) {
+    return CV_CONTENT.sections.find((section) => section.id === sectionId);
+}
+
+/**
+ * Creates an element with an optional class and text
+ * @param {string} tagName
+ * @param {string} [className]
+ * @param {string} [text]
+ * @returns {HTMLElement}
+ */
+function createContentElement(tagName, className, text) {
+    const element = document.createElement(tagName);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+}
+
+/**
+ * Appends paragraphs to a container
+ * @param {HTMLElement} container
+ * @param {string[]} paragraphs
+ */
+function appendParagraphs(container, paragraphs) {
+    (paragraphs || []).forEach((paragraph) => {
+        container.appendChild(createContentElement('p', null, paragraph));
+    });
+}
+
+/**
+ * Builds a .tag-list
+ * @param {string[]} tags
+ * @returns {HTMLElement|null} Null when there are no tags
+ */
+function renderTagList(tags) {
+    if (!tags || !tags.length) return null;
+    const list = createContentElement('div', 'tag-list');
+    tags.forEach((tag) => {
+        list.appendChild(createContentElement('span', 'tag', tag));
+    });
+    return list;
+}
+
+/**
+ * Builds a lazy-loaded, responsive figure; the image is a button that opens
+ * the lightbox (js/media.js)
+ * @param {{src: string, srcset?: string, sizes?: string, width?: number, height?: number, alt?: Object, caption?: Object}} media
+ * @param {string} lang - Language code
+ * @returns {HTMLElement}
+ */
+function renderMediaFigure(media, lang) {
+    const figure = createContentElement('figure', 'media-figure');
+    const alt = getLocalized(media.alt, lang) || '';
+    const caption = getLocalized(media.caption, lang);
+
+    const trigger = createContentElement('button', 'media-open');
+    trigger.type = 'button';
+    trigger.setAttribute('aria-label', t('media.enlarge', { description: alt || caption || '' }, lang));
+
+    const image = createContentElement('img', 'media-image');
+    image.src = media.src;
+    if (media.srcset) {
+        image.srcset = media.srcset;
+        image.sizes = media.sizes || MEDIA_DEFAULT_SIZES;
+    }
+    // Reserves the box before the image arrives, so loading never shifts the content
+    if (media.width && media.height) {
+        image.width = media.width;
+        image.height = media.height;
+    }
+    image.alt = alt;
+    image.setAttribute('loading', 'lazy');
+    image.setAttribute('decoding', 'async');
+    trigger.appendChild(image);
+    figure.appendChild(trigger);
+
+    if (caption) {
+        figure.appendChild(createContentElement('figcaption', null, caption));
+    }
+    return figure;
+}
+
+/**
+ * Builds a .media-gallery of an entry's or section's media
+ * @param {Object[]} mediaList
+ * @param {string} lang
+ * @returns {HTMLElement|null} Null when there is no media
+ */
+function renderMediaGallery(mediaList, lang) {
+    if (!mediaList || !mediaList.length) return null;
+    const gallery = createContentElement('div', 'media-gallery');
+    mediaList.forEach((media) => {
+        gallery.appendChild(renderMediaFigure(media, lang));
+    });
+    return gallery;
+}
+
+/**
+ * Builds one entry (experience, education, fellowship or project) in one language
+ * @param {string} kind - Section kind
+ * @param {Object} item - Entry from CV_CONTENT
+ * @param {string} lang - Language code
+ * @returns {HTMLElement}
+ */
+function renderContentItem(kind, item, lang) {
+    const text = getLocalized(item.text, lang) || {};
+    const period = formatPeriod(item.period, lang);
+    const periodSuffix = period ? ` (${period})` : '';
+    let element;
+    let heading;
+
+    if (kind === 'experience') {
+        element = createContentElement('div', 'experience-item');
+        heading = `${text.role} - ${text.organization}${periodSuffix}`;
+    } else if (kind === 'education') {
+        element = createContentElement('div', 'education-item');
+        heading = `${text.institution} - ${text.area} - ${text.degree}${periodSuffix}`;
+    } else if (kind === 'fellowship') {
+        element = createContentElement('div', 'experience-item');
+        heading = `${text.title} - ${text.organization}${periodSuffix}`;
+    } else {
+        element = createContentElement('div', 'project-item');
+        heading = `${text.title}${periodSuffix}`;
+    }
+
+    element.dataset.itemId = item.id;
+    element.appendChild(createContentElement('h3', null, heading));
+    if (kind === 'project' && text.funder) {
+        element.appendChild(createContentElement('p', null, `(${text.funder})`));
+    }
+    const gallery = renderMediaGallery(item.media, lang);
+    if (gallery) element.appendChild(gallery);
+    appendParagraphs(element, text.paragraphs);
+
+    const tagList = renderTagList(text.tags);
+    if (tagList) element.appendChild(tagList);
+
+    if (kind === 'project') {
+        // Opens the detail overlay (js/projects.js)
+        const detailButton = createContentElement('button', 'project-detail-button', t('project.open', {}, lang));
+        detailButton.type = 'button';
+        detailButton.dataset.projectId = item.id;
+        detailButton.setAttribute('aria-label', t('project.openLabel', { title: text.title }, lang));
+        element.appendChild(detailButton);
+    }
+
+    return element;
+}
+
+/**
+ * Builds the contact block in one language
+ * @param {Object} section - Contact section entry
+ * @param {string} lang - Language code
+ * @param {HTMLElement} container
+ */
+function renderContactBlock(section, lang, container) {
+    const createLink = (link) => {
+        const anchor = createContentElement('a', null, link.label);
+        anchor.href = link.href;
+        if (!link.href.startsWith('mailto:')) {
+            anchor.target = '_blank';
+            anchor.rel = 'noopener noreferrer';
+        }
+        return anchor;
+    };
+
+    section.links.forEach((link) => {
+        const paragraph = createContentElement('p');
+        paragraph.appendChild(createLink(link));
+        container.appendChild(paragraph);
+    });
+
+    if (section.otherLinks) {
+        const paragraph = createContentElement('p', null, getLocalized(section.otherLinks.prefix, lang) + ' ');
+        paragraph.appendChild(createLink(section.otherLinks));
+        container.appendChild(paragraph);
+    }
+
+    if (section.note) {
+        container.appendChild(createContentElement('p', null, getLocalized(section.note, lang)));
+    }
+}
+
+/**
+ * Builds the [data-lang] block of a section for one language
+ * @param {Object} section - Section entry
+ * @param {string} lang - Language code
+ * @param {string} [visibleLang] - Language shown on the page (defaults to the first content language)
+ * @returns {HTMLElement}
+ */
+function renderLanguageBlock(section, lang, visibleLang = CV_CONTENT.languages[0]) {
+    const block = createContentElement('div');
+    block.dataset.lang = lang;
+    block.lang = lang; // Screen readers switch pronunciation
+    block.dataset.sectionId = section.id;
+    if (lang !== visibleLang) {
+        block.style.display = 'none';
+        block.hidden = true;
+    }
+
+    const gallery = renderMediaGallery(section.media, lang);
+    if (gallery) block.appendChild(gallery);
+
+    if (section.kind === 'prose') {
+        appendParagraphs(block, getLocalized(section.body, lang));
+    } else if (section.kind === 'contact') {
+        renderContactBlock(section, lang, block);
+    } else {
+        const container = section.kind === 'project' ? createContentElement('div', 'projects-container') : block;
+        section.items.forEach((item) => {
+            container.appendChild(renderContentItem(section.kind, item, lang));
+        });
+        if (container !== block) block.appendChild(container);
+    }
+
+    return block;
+}
+
+/**
+ * Stores per-language text on an element (data-lang-<code>) for switchLanguage
+ * @param {HTMLElement} element
+ * @param {Object<string, string>} localized - Text keyed by language code
+ */
+function setLocalizedText(element, localized) {
+    element.dataset.localized = '';
+    getRenderLanguages().forEach((lang) => {
+        element.setAttribute('data-lang-' + lang, getLocalized(localized, lang));
+    });
+}
+
+/**
+ * Builds the heading of a section's content column
+ * @param {Object} section - Section entry
+ * @returns {HTMLElement}
+ */
+function renderSectionHeading(section) {
+    const heading = createContentElement('h1', null, getLocalized(section.title, CV_CONTENT.languages[0]));
+    setLocalizedText(heading, section.title);
+    return heading;
+}
+
+/**
+ * Names a section that is not a tab panel by its title in a language
+ * @param {HTMLElement} element - A .cv-section built by renderSection
+ * @param {string} [lang] - Defaults to the active language
+ */
+function labelStandaloneSection(element, lang = getLocale()) {
+    const section = getContentSection(element.id);
+    element.setAttribute('aria-label', getLocalized(section.title, lang));
+}
+
+/**
+ * Builds a complete .cv-section, with the sections merged into it
+ * following its own content
+ * @param {Object} entry - Section registry entry (js/sections.js)
+ * @returns {HTMLElement}
+ */
+function renderSection(entry) {
+    const section = entry.section;
+    const element = createContentElement('section', 'cv-section');
+    element.id = section.id;
+    element.dataset.navigable = String(entry.navigable);
+    if (entry.navigable) {
+        // Tab panel of the .section-nav tablist, named by its tab
+        element.setAttribute('role', 'tabpanel');
+        element.setAttribute('aria-labelledby', `tab-${section.id}`);
+    } else {
+        labelStandaloneSection(element);
+    }
+
+    const content = createContentElement('div', 'section-content');
+    content.tabIndex = -1; // Focus target when the section is entered, not a tab stop
+    [section, ...entry.merged].forEach((part) => {
+        content.appendChild(renderSectionHeading(part));
+        getRenderLanguages().forEach((lang) => {
+            content.appendChild(renderLanguageBlock(part, lang));
+        });
+    });
+
+    element.appendChild(content);
+    return element;
+}
+
+/**
+ * Builds a .section-nav button for a navigable section
+ * @param {Object} section - Section entry
+ * @param {number} navIndex - Position of the section in navigation order
+ * @returns {HTMLButtonElement}
+ */
+function renderNavButton(section, navIndex) {
+    const defaultLang = CV_CONTENT.languages[0];
+    const button = createContentElement('button', 'nav-button', getLocalized(section.title, defaultLang));
+    button.type = 'button';
+    button.dataset.section = String(navIndex);
+    setLocalizedText(button, section.title);
+    // Tab of the .section-nav tablist; its (localized) text is its name
+    button.id = `tab-${section.id}`;
+    button.setAttribute('role', 'tab');
+    button.setAttribute('aria-controls', section.id);
+    button.setAttribute('aria-selected', 'false');
+    button.tabIndex = -1;
+    return button;
+}
+
+/**
+ * Names a nav card in a language (its visible text also holds the summary)
+ * @param {HTMLElement} card - A .nav-card-item built by renderNavCard
+ * @param {string} [lang] - Defaults to the active language
+ */
+function labelNavCard(card, lang = getLocale()) {
+    const section = getContentSection(card.dataset.sectionId);
+    card.setAttribute('aria-label', t('navCard.label', { section: getLocalized(section.title, lang) }, lang));
+}
+
+/**
+ * Builds a navigation card (card mode) for a navigable section
+ * @param {Object} section - Section entry with a card summary
+ * @param {number} navIndex - Position of the section in navigation order
+ * @param {string} [visibleLang] - Language shown; the others are hidden until switchLanguage
+ * @returns {HTMLButtonElement|null} Null if the section has no card
+ */
+function renderNavCard(section, navIndex, visibleLang = getLocale()) {
+    if (!section || !section.card) return null;
+
+    const card = createContentElement('button', 'nav-card-item');
+    card.type = 'button';
+    card.dataset.section = String(navIndex);
+    card.dataset.sectionId = section.id;
+    labelNavCard(card, visibleLang);
+
+    getRenderLanguages().forEach((lang) => {
+        const container = createContentElement('div');
+        container.dataset.lang = lang;
+        container.lang = lang;
+        if (lang !== visibleLang) {
+            container.style.display = 'none';
+            container.hidden = true;
+        }
+        const title = createContentElement('span', 'nav-card-title', getLocalized(section.title, lang));
+        if (section.card.icon) title.dataset.icon = section.card.icon;
+        container.appendChild(title);
+        container.appendChild(createContentElement('span', 'nav-card-summary', getLocalized(section.card.summary, lang)));
+        container.appendChild(createContentElement('span', 'nav-card-affordance', getLocalized(CV_CONTENT.ui.cardAffordance, lang)));
+        card.appendChild(container);
+    });
+
+    return card;
+}
+
+/**
+ * Builds one language switcher button per registered locale
+ * @param {HTMLElement} switcher - The .language-switcher container
+ */
+function renderLanguageSwitcher(switcher) {
+    switcher.replaceChildren();
+    getAvailableLocales().forEach((code) => {
+        const button = createContentElement('button', 'lang-button', code.toUpperCase());
+        button.type = 'button';
+        button.dataset.lang = code;
+        button.lang = code;
+        // Labelled in its own language: the reader may not know the current one
+        button.setAttribute('aria-label', t('language.switchLabel', {}, code));
+        switcher.appendChild(button);
+    });
+}
+
+/**
+ * Renders all sections, nav buttons and the language switcher into the page skeleton
+ */
+function renderCvContent() {
+    const wrapper = document.querySelector('.sections-wrapper');
+    const sectionNav = document.querySelector('.section-nav');
+    const languageSwitcher = document.querySelector('.language-switcher');
+    if (languageSwitcher) renderLanguageSwitcher(languageSwitcher);
+    if (!wrapper) return;
+
+    wrapper.replaceChildren();
+    if (sectionNav) sectionNav.replaceChildren();
+
+    getSectionRegistry().forEach((entry) => {
+        wrapper.appendChild(renderSection(entry));
+    });
+    if (!sectionNav) return;
+    getNavigableSectionEntries().forEach((entry, navIndex) => {
+        const button = renderNavButton(entry.section, navIndex);
+        if (navIndex === 0) {
+            button.classList.add('active');
+            button.setAttribute('aria-selected', 'true');
+            button.tabIndex = 0;
+        }
+        sectionNav.appendChild(button);
+    });
+}
+
+/**
+ * Re-renders the language blocks of every section in place, after
+ * CV_CONTENT changed (e.g. an import). Section elements, headings and nav
+ * buttons are kept: main.js holds references to them. Blocks are found by
+ * section id, so merged content (skills inside Experience) is replaced
+ * where it lives.
+ */
+function refreshRenderedContent() {
+    const visibleLang = getLocale();
+    CV_CONTENT.sections.forEach((section) => {
+        getRenderLanguages().forEach((lang) => {
+            const current = document.querySelector(`.section-content [data-section-id="${section.id}"][data-lang="${lang}"]`);
+            if (current) {
+                current.replaceWith(renderLanguageBlock(section, lang, visibleLang));
+            }
+        });
+    });
+}
+
+// Render before main.js queries the DOM
+renderCvContent();
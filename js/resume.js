@@ -0,0 +1,532 @@
+// ============================================
+// JSON Resume Export / Import
+// ============================================
+
+// Maps CV_CONTENT to the jsonresume.org schema (v1.0.0) for one language:
+//   experience → work, education → education, fellowship → awards,
+//   project → projects, contact/about → basics
+// Tags travel as `keywords` (standard on projects, an extra property on
+// work). The importer maps a file back into CV_CONTENT and re-renders the
+// sections in place. A file holds one language, so its text is used for
+// every language of the page until the page is reloaded.
+
+const JSON_RESUME_SCHEMA_URL = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+const RESUME_LINK_PROTOCOLS = ['http:', 'https:', 'mailto:']; // Imported links become <a href>
+// Fields read from each list of a JSON Resume document: strings, and string lists
+const RESUME_ENTRY_FIELDS = {
+    work: { strings: ['name', 'position', 'startDate', 'endDate', 'summary'], lists: ['highlights', 'keywords'] },
+    education: { strings: ['institution', 'area', 'studyType', 'startDate', 'endDate', 'summary'], lists: [] },
+    awards: { strings: ['title', 'date', 'awarder', 'summary'], lists: [] },
+    projects: { strings: ['name', 'entity', 'startDate', 'endDate', 'description'], lists: ['highlights', 'keywords'] }
+};
+const RESUME_MESSAGE_MS = 4000;
+
+let resumeMessage = null;
+let resumeMessageTimeout = null;
+
+/**
+ * Finds the first section of a kind
+ * @param {string} kind
+ * @returns {Object|undefined}
+ */
+function getContentSectionByKind(kind) {
+    return CV_CONTENT.sections.find((section) => section.kind === kind);
+}
+
+/**
+ * Joins paragraphs into a JSON Resume text field
+ * @param {string[]} [paragraphs]
+ * @returns {string}
+ */
+function joinResumeParagraphs(paragraphs) {
+    return (paragraphs || []).join('\n\n');
+}
+
+/**
+ * Splits a JSON Resume text field into paragraphs
+ * @param {string} [text]
+ * @returns {string[]}
+ */
+function splitResumeParagraphs(text) {
+    if (typeof text !== 'string') return [];
+    return text.split(/\n\s*\n/).map((paragraph) => paragraph.trim()).filter(Boolean);
+}
+
+/**
+ * Reads a JSON Resume string list (highlights, keywords), dropping anything else
+ * @param {*} list
+ * @returns {string[]}
+ */
+function toResumeList(list) {
+    return Array.isArray(list) ? list.filter((value) => typeof value === 'string' && value.trim()) : [];
+}
+
+/**
+ * Converts a CV period into JSON Resume dates (ISO 8601 years)
+ * @param {{start: number, end?: number}} period
+ * @returns {{startDate: string, endDate?: string}}
+ */
+function periodToResumeDates(period) {
+    if (!period) return {};
+    const dates = { startDate: String(period.start) };
+    if (period.end) dates.endDate = String(period.end);
+    return dates;
+}
+
+/**
+ * Converts JSON Resume dates back into a CV period
+ * @param {string} [startDate]
+ * @param {string} [endDate]
+ * @returns {{start: number, end?: number}|null} Null when neither date has a year
+ */
+function resumeDatesToPeriod(startDate, endDate) {
+    const toYear = (date) => {
+        const year = parseInt(String(date || '').slice(0, 4), 10);
+        return Number.isFinite(year) ? year : undefined;
+    };
+    const start = toYear(startDate) || toYear(endDate);
+    const end = toYear(endDate);
+    if (!start) return null;
+    return end ? { start, end } : { start };
+}
+
+/**
+ * Builds a JSON Resume document for one language
+ * @param {string} lang - Language code
+ * @returns {Object} JSON Resume document
+ */
+function buildJsonResume(lang) {
+    const about = getContentSectionByKind('prose');
+    const experience = getContentSectionByKind('experience');
+    const education = getContentSectionByKind('education');
+    const fellowship = getContentSectionByKind('fellowship');
+    const projects = getContentSectionByKind('project');
+    const contact = getContentSectionByKind('contact');
+    const itemsOf = (section) => (section ? section.items : []);
+    const textOf = (item) => getLocalized(item.text, lang) || {};
+
+    const basics = {
+        name: CV_CONTENT.person.name,
+        email: CV_CONTENT.person.email,
+        summary: about ? joinResumeParagraphs(getLocalized(about.body, lang)) : '',
+        profiles: []
+    };
+    if (contact) {
+        if (contact.otherLinks) basics.url = contact.otherLinks.href;
+        basics.profiles = contact.links
+            .filter((link) => link.type !== 'email')
+            .map((link) => ({
+                network: link.label,
+                username: decodeURIComponent(link.href.replace(/\/+$/, '').split('/').pop()),
+                url: link.href
+            }));
+    }
+
+    return {
+        $schema: JSON_RESUME_SCHEMA_URL,
+        basics,
+        work: itemsOf(experience).map((item) => {
+            const text = textOf(item);
+            return {
+                name: text.organization,
+                position: text.role,
+                ...periodToResumeDates(item.period),
+                summary: joinResumeParagraphs(text.paragraphs),
+                keywords: text.tags || []
+            };
+        }),
+        education: itemsOf(education).map((item) => {
+            const text = textOf(item);
+            return {
+                institution: text.institution,
+                area: text.area,
+                studyType: text.degree,
+                ...periodToResumeDates(item.period),
+                summary: joinResumeParagraphs(text.paragraphs)
+            };
+        }),
+        awards: itemsOf(fellowship).map((item) => {
+            const text = textOf(item);
+            return {
+                title: text.title,
+                ...(item.period ? { date: String(item.period.start) } : {}),
+                awarder: text.organization,
+                summary: joinResumeParagraphs(text.paragraphs)
+            };
+        }),
+        projects: itemsOf(projects).map((item) => {
+            const text = textOf(item);
+            const project = {
+                name: text.title,
+                description: joinResumeParagraphs(text.paragraphs),
+                ...periodToResumeDates(item.period),
+                keywords: text.tags || []
+            };
+            if (text.funder) project.entity = text.funder;
+            return project;
+        }),
+        meta: {
+            version: 'v1.0.0',
+            language: lang,
+            lastModified: new Date().toISOString()
+        }
+    };
+}
+
+/**
+ * Builds a stable item id from text
+ * @param {string} text
+ * @param {string} fallback - Used when the text has no usable characters
+ * @param {Set<string>} usedIds - Ids already taken in this section
+ * @returns {string}
+ */
+function createResumeItemId(text, fallback, usedIds) {
+    const base = foldSearchText(String(text || ''))
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 48) || fallback;
+    let id = base;
+    for (let suffix = 2; usedIds.has(id); suffix++) {
+        id = `${base}-${suffix}`;
+    }
+    usedIds.add(id);
+    return id;
+}
+
+/**
+ * Replaces a section's items with imported entries
+ * @param {string} kind - Section kind
+ * @param {Object[]} entries - JSON Resume entries
+ * @param {function(Object): {period: Object, text: Object, idSource: string}} mapEntry
+ * @returns {number} Number of imported items
+ */
+function importResumeItems(kind, entries, mapEntry) {
+    const section = getContentSectionByKind(kind);
+    if (!section || !Array.isArray(entries)) {
+        return 0;
+    }
+    const usedIds = new Set();
+    section.items = entries.filter((entry) => entry && typeof entry === 'object').map((entry, index) => {
+        const { period, text, idSource } = mapEntry(entry);
+        const localized = {};
+        // One-language file: the same text backs every page language
+        CV_CONTENT.languages.forEach((lang) => {
+            localized[lang] = text;
+        });
+        return {
+            id: createResumeItemId(idSource, `${kind}-${index + 1}`, usedIds),
+            period,
+            text: localized
+        };
+    });
+    return section.items.length;
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean} True for a plain object (not null, not an array)
+ */
+function isResumeObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * @param {string} url
+ * @returns {boolean} True if the URL parses and uses an allowed protocol
+ */
+function isSafeResumeLink(url) {
+    try {
+        return RESUME_LINK_PROTOCOLS.includes(new URL(url).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Checks the fields of an object the importer reads
+ * @param {Object} object
+ * @param {string[]} strings - Fields that must be strings when present
+ * @param {string[]} lists - Fields that must be string arrays when present
+ * @param {string} path - Location for the error message
+ * @throws {Error} On the first field of the wrong type
+ */
+function validateResumeFields(object, strings, lists, path) {
+    strings.forEach((field) => {
+        if (object[field] !== undefined && typeof object[field] !== 'string') {
+            throw new Error(`${path}.${field} must be a string`);
+        }
+    });
+    lists.forEach((field) => {
+        if (object[field] !== undefined &&
+            (!Array.isArray(object[field]) || object[field].some((value) => typeof value !== 'string'))) {
+            throw new Error(`${path}.${field} must be a list of strings`);
+        }
+    });
+}
+
+/**
+ * Validates everything the importer reads, before anything is changed
+ * @param {*} resume - Parsed JSON
+ * @throws {Error} If the document is not a usable JSON Resume
+ */
+function validateJsonResume(resume) {
+    if (!isResumeObject(resume) ||
+        (!resume.basics && !resume.work && !resume.education && !resume.projects)) {
+        throw new Error('Not a JSON Resume document');
+    }
+
+    if (resume.basics !== undefined) {
+        const basics = resume.basics;
+        if (!isResumeObject(basics)) {
+            throw new Error('basics must be an object');
+        }
+        validateResumeFields(basics, ['name', 'email', 'summary', 'url'], [], 'basics');
+        if (basics.url && !isSafeResumeLink(basics.url)) {
+            throw new Error('basics.url must be an http(s) or mailto link');
+        }
+        if (basics.profiles !== undefined) {
+            if (!Array.isArray(basics.profiles)) {
+                throw new Error('basics.profiles must be a list');
+            }
+            basics.profiles.forEach((profile, index) => {
+                const path = `basics.profiles[${index}]`;
+                if (!isResumeObject(profile)) {
+                    throw new Error(`${path} must be an object`);
+                }
+                validateResumeFields(profile, ['network', 'url'], [], path);
+                if (profile.url && !isSafeResumeLink(profile.url)) {
+                    throw new Error(`${path}.url must be an http(s) or mailto link`);
+                }
+            });
+        }
+    }
+
+    Object.keys(RESUME_ENTRY_FIELDS).forEach((key) => {
+        if (resume[key] === undefined) return;
+        if (!Array.isArray(resume[key])) {
+            throw new Error(`${key} must be a list`);
+        }
+        resume[key].forEach((entry, index) => {
+            if (!isResumeObject(entry)) {
+                throw new Error(`${key}[${index}] must be an object`);
+            }
+            validateResumeFields(entry, RESUME_ENTRY_FIELDS[key].strings, RESUME_ENTRY_FIELDS[key].lists, `${key}[${index}]`);
+        });
+    });
+
+    if (resume.meta !== undefined) {
+        if (!isResumeObject(resume.meta)) {
+            throw new Error('meta must be an object');
+        }
+        validateResumeFields(resume.meta, ['language'], [], 'meta');
+    }
+}
+
+/**
+ * Fills CV_CONTENT from a JSON Resume document and re-renders the page.
+ * The whole document is validated first: an invalid file changes nothing.
+ * @param {Object} resume - Parsed JSON Resume document
+ * @returns {number} Number of imported entries
+ * @throws {Error} If the document is not a valid JSON Resume
+ */
+function importJsonResume(resume) {
+    validateJsonResume(resume);
+
+    const basics = resume.basics || {};
+    if (basics.name) CV_CONTENT.person.name = basics.name;
+    if (basics.email) CV_CONTENT.person.email = basics.email;
+
+    const about = getContentSectionByKind('prose');
+    if (about && basics.summary) {
+        const body = splitResumeParagraphs(basics.summary);
+        CV_CONTENT.languages.forEach((lang) => {
+            about.body[lang] = body;
+        });
+    }
+
+    const contact = getContentSectionByKind('contact');
+    if (contact) {
+        const links = [];
+        if (CV_CONTENT.person.email) {
+            links.push({ type: 'email', href: 'mailto:' + CV_CONTENT.person.email, label: CV_CONTENT.person.email });
+        }
+        (Array.isArray(basics.profiles) ? basics.profiles : []).forEach((profile) => {
+            if (profile && profile.url) {
+                links.push({
+                    type: String(profile.network || 'link').toLowerCase(),
+                    href: profile.url,
+                    label: profile.network || profile.url
+                });
+            }
+        });
+        contact.links = links;
+        if (basics.url && contact.otherLinks) {
+            contact.otherLinks.href = basics.url;
+            contact.otherLinks.label = basics.url.replace(/^https?:\/\//, '').replace(/\/$/, '');
+        }
+    }
+
+    let count = 0;
+    count += importResumeItems('experience', resume.work, (work) => ({
+        period: resumeDatesToPeriod(work.startDate, work.endDate),
+        idSource: work.name || work.position,
+        text: {
+            role: work.position || '',
+            organization: work.name || '',
+            paragraphs: splitResumeParagraphs(work.summary).concat(toResumeList(work.highlights)),
+            tags: toResumeList(work.keywords)
+        }
+    }));
+    count += importResumeItems('education', resume.education, (education) => ({
+        period: resumeDatesToPeriod(education.startDate, education.endDate),
+        idSource: education.institution,
+        text: {
+            institution: education.institution || '',
+            area: education.area || '',
+            degree: education.studyType || '',
+            paragraphs: splitResumeParagraphs(education.summary)
+        }
+    }));
+    count += importResumeItems('fellowship', resume.awards, (award) => ({
+        period: resumeDatesToPeriod(award.date),
+        idSource: award.title,
+        text: {
+            title: award.title || '',
+            organization: award.awarder || '',
+            paragraphs: splitResumeParagraphs(award.summary)
+        }
+    }));
+    count += importResumeItems('project', resume.projects, (project) => ({
+        period: resumeDatesToPeriod(project.startDate, project.endDate),
+        idSource: project.name,
+        text: {
+            title: project.name || '',
+            funder: project.entity || '',
+            paragraphs: splitResumeParagraphs(project.description).concat(toResumeList(project.highlights)),
+            tags: toResumeList(project.keywords)
+        }
+    }));
+
+    clearTagFilter();
+    refreshRenderedContent();
+    observeContentLayout();
+    prepareFilterTags();
+    refreshCareerTimeline();
+    updateIdentityBlock();
+    updateDocumentMetadata(getLocale());
+    refreshScrollHints();
+
+    const lang = resume.meta && resume.meta.language;
+    if (isSupportedLocale(lang) && lang !== getLocale()) {
+        switchLanguage(lang);
+    }
+
+    logEvent('resume', { action: 'import', count, lang: lang || null });
+    return count;
+}
+
+/**
+ * Updates the static identity block from CV_CONTENT.person
+ */
+function updateIdentityBlock() {
+    const name = document.querySelector('.identity-name');
+    const email = document.querySelector('.identity-email');
+    if (name) name.textContent = CV_CONTENT.person.name;
+    if (email) {
+        email.href = 'mailto:' + CV_CONTENT.person.email;
+        const emailText = email.querySelector('.email-text');
+        if (emailText) emailText.textContent = CV_CONTENT.person.email;
+    }
+}
+
+/**
+ * Shows a short status message next to the toolbar
+ * @param {string} text
+ */
+function showResumeMessage(text) {
+    if (!resumeMessage) return;
+    resumeMessage.textContent = text;
+    resumeMessage.hidden = false;
+    clearTimeout(resumeMessageTimeout);
+    resumeMessageTimeout = setTimeout(() => {
+        resumeMessage.hidden = true;
+    }, RESUME_MESSAGE_MS);
+}
+
+/**
+ * Downloads the JSON Resume of the current language
+ */
+function downloadJsonResume() {
+    const lang = getLocale();
+    const resume = buildJsonResume(lang);
+    const blob = new Blob([JSON.stringify(resume, null, 2) + '\n'], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${createResumeItemId(CV_CONTENT.person.name, 'cv', new Set())}-resume-${lang}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+
+    logEvent('resume', { action: 'export', lang, file: link.download });
+}
+
+/**
+ * Reads a chosen file and imports it. Only a file that fails to parse or
+ * validate is reported as invalid; an error while applying it is a bug,
+ * logged and rethrown.
+ * @param {File} file
+ */
+function importJsonResumeFile(file) {
+    const reader = new FileReader();
+    reader.addEventListener('load', () => {
+        let resume;
+        try {
+            resume = JSON.parse(reader.result);
+            validateJsonResume(resume);
+        } catch (error) {
+            logEvent('resume_import_error', { file: file.name, error: error.message });
+            showResumeMessage(t('resume.invalid'));
+            return;
+        }
+
+        let count;
+        try {
+            count = importJsonResume(resume);
+        } catch (error) {
+            logEvent('resume', { action: 'import-failed', file: file.name, error: error.message }, 'error');
+            throw error;
+        }
+        showResumeMessage(t('resume.imported', { count }));
+    });
+    reader.readAsText(file);
+}
+
+/**
+ * Initializes the JSON Resume toolbar actions
+ */
+function initJsonResume() {
+    const exportButton = document.querySelector('.resume-export-button');
+    const importButton = document.querySelector('.resume-import-button');
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = 'application/json,.json';
+    fileInput.hidden = true;
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files && fileInput.files[0]) {
+            importJsonResumeFile(fileInput.files[0]);
+        }
+        fileInput.value = '';
+    });
+    document.body.appendChild(fileInput);
+
+    resumeMessage = document.createElement('p');
+    resumeMessage.className = 'resume-message';
+    resumeMessage.setAttribute('role', 'status');
+    resumeMessage.hidden = true;
+    document.body.appendChild(resumeMessage);
+
+    if (exportButton) exportButton.addEventListener('click', downloadJsonResume);
+    if (importButton) importButton.addEventListener('click', () => fileInput.click());
+}
@@ -0,0 +1,293 @@
+// ============================================
+// URL Routing & Browser History
+// ============================================
+
+// Route format (hash-based, works on any static host):
+//   #/en           → card mode, English
+//   #/en/projects  → section mode on Projects, English
+//   #/en/projects/greenwashing-watch → same, with that project's overlay open (js/projects.js)
+// Legacy "#projects" and "#/projects" links are accepted on input and
+// rewritten to the canonical form once applied.
+//
+// The language can also be chosen outside the hash, for shareable links:
+//   ?lang=en       (any host)
+//   /en/           (path segment; netlify.toml rewrites /en/css|js to the real assets)
+// If the URL carries one of these, it is kept in sync with the hash.
+
+let routerReady = false;
+let routeSyncQueued = false;
+let routeReplaceNext = false;
+let pendingRoute = null; // Route received while a navigation was in progress
+
+/**
+ * Parses a location hash into a route
+ * @param {string} hash - e.g. '#/en/projects'
+ * @returns {{lang: string|null, mode: 'card'|'section', sectionId: string|null, projectId: string|null}|null} Null if the hash is not a route
+ */
+function parseRouteHash(hash) {
+    const raw = (hash || '').replace(/^#\/?/, '');
+    if (!raw) {
+        return null;
+    }
+
+    const parts = raw.split('/').filter(Boolean).map((part) => {
+        try {
+            return decodeURIComponent(part);
+        } catch (error) {
+            return part;
+        }
+    });
+
+    let lang = null;
+    if (isSupportedLocale(parts[0])) {
+        lang = parts.shift();
+    }
+
+    const sectionId = parts[0] || null;
+    if (sectionId && !navigableSectionIds.includes(sectionId)) {
+        // Unknown section: keep the language, ignore the rest
+        return lang ? { lang, mode: 'card', sectionId: null, projectId: null } : null;
+    }
+
+    // An unknown project slug still opens the section
+    const projectId = sectionId === PROJECT_SECTION_ID && isProjectId(parts[1]) ? parts[1] : null;
+
+    return {
+        lang,
+        mode: sectionId ? 'section' : 'card',
+        sectionId,
+        projectId
+    };
+}
+
+/**
+ * Builds the canonical hash for a route
+ * @param {{lang: string, mode: 'card'|'section', sectionId: string|null, projectId?: string|null}} route
+ * @returns {string} Hash including the leading '#'
+ */
+function buildRouteHash(route) {
+    let hash = '#/' + route.lang;
+    if (route.mode === 'section' && route.sectionId) {
+        hash += '/' + encodeURIComponent(route.sectionId);
+        if (route.projectId) {
+            hash += '/' + encodeURIComponent(route.projectId);
+        }
+    }
+    return hash;
+}
+
+/**
+ * Finds the language segment of a path: the last directory segment, if it
+ * is a registered locale ('/en/', '/en/index.html', '/cv/en/')
+ * @param {string[]} segments - pathname.split('/')
+ * @returns {number} Index into segments, or -1
+ */
+function findPathLanguageIndex(segments) {
+    for (let i = segments.length - 1; i >= 0; i--) {
+        const segment = segments[i];
+        if (!segment || (i === segments.length - 1 && segment.includes('.'))) {
+            continue; // Trailing slash or file name
+        }
+        return isSupportedLocale(segment) ? i : -1;
+    }
+    return -1;
+}
+
+/**
+ * Reads a language chosen by the URL outside the hash (?lang=en or /en/)
+ * @returns {string|null} Registered language code
+ */
+function getLanguageFromLocation() {
+    const queryLang = new URLSearchParams(window.location.search).get('lang');
+    if (isSupportedLocale(queryLang)) {
+        return queryLang;
+    }
+    const segments = window.location.pathname.split('/');
+    const index = findPathLanguageIndex(segments);
+    return index === -1 ? null : segments[index];
+}
+
+/**
+ * Builds the shareable URL of a language version (used for hreflang).
+ * Uses ?lang= so it works on any host.
+ * @param {string|null} lang - Language code, or null for the negotiated (x-default) URL
+ * @returns {string|null} Absolute URL, or null when not served over http(s)
+ */
+function getLanguageVersionUrl(lang) {
+    if (!/^https?:$/.test(window.location.protocol)) {
+        return null;
+    }
+    const segments = window.location.pathname.split('/');
+    const index = findPathLanguageIndex(segments);
+    if (index !== -1) {
+        segments.splice(index, 1);
+    }
+    const url = new URL(window.location.origin);
+    url.pathname = segments.join('/').replace(/\/index\.html$/, '/');
+    if (lang) {
+        url.searchParams.set('lang', lang);
+    }
+    return url.href;
+}
+
+/**
+ * Builds the URL (path + query + hash) for a route, keeping any language
+ * carried in the query or path in step with the route
+ * @param {{lang: string, mode: 'card'|'section', sectionId: string|null}} route
+ * @returns {string} Root-relative URL
+ */
+function buildRouteUrl(route) {
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('lang')) {
+        params.set('lang', route.lang);
+    }
+    const segments = window.location.pathname.split('/');
+    const index = findPathLanguageIndex(segments);
+    if (index !== -1) {
+        segments[index] = route.lang;
+    }
+    const search = params.toString();
+    return segments.join('/') + (search ? '?' + search : '') + buildRouteHash(route);
+}
+
+/**
+ * Reads the route that represents the current UI state
+ * @returns {{lang: string, mode: 'card'|'section', sectionId: string|null, projectId: string|null}}
+ */
+function getRouteFromState() {
+    return {
+        lang: document.documentElement.lang,
+        mode: navState.mode,
+        sectionId: navigableSectionIds[getCurrentSection()] || null,
+        projectId: getOpenProjectId()
+    };
+}
+
+/**
+ * Queues a URL update for the current state.
+ * Coalesced to one history entry per settled state: while a navigation is
+ * in progress the sync is skipped and re-run from the navigation completion.
+ * @param {{replace?: boolean}} [options] - replace: rewrite the current entry instead of pushing
+ */
+function scheduleRouteSync(options = {}) {
+    if (!routerReady) {
+        return;
+    }
+    if (options.replace) {
+        routeReplaceNext = true;
+    }
+    if (routeSyncQueued) {
+        return;
+    }
+    routeSyncQueued = true;
+    queueMicrotask(() => {
+        routeSyncQueued = false;
+        syncRoute();
+    });
+}
+
+/**
+ * Writes the current state into the URL (push or replace)
+ */
+function syncRoute() {
+    // Mid-animation state is not a place the user can return to
+    if (navState.isNavigating) {
+        return;
+    }
+
+    const route = getRouteFromState();
+    const url = buildRouteUrl(route);
+    const replace = routeReplaceNext;
+    routeReplaceNext = false;
+
+    if (url === window.location.pathname + window.location.search + window.location.hash) {
+        return;
+    }
+
+    logEvent('route_sync', { url, replace });
+
+    if (replace) {
+        history.replaceState(route, '', url);
+    } else {
+        history.pushState(route, '', url);
+    }
+}
+
+/**
+ * Applies a route to the UI.
+ * Respects the navigation lock: if a navigation is running, the route is
+ * parked and applied from the navigation completion instead.
+ * @param {{lang: string|null, mode: 'card'|'section', sectionId: string|null, projectId?: string|null}} route
+ * @param {{instant?: boolean}} [options] - instant: jump without smooth scrolling (initial load)
+ */
+function applyRoute(route, options = {}) {
+    if (navState.isNavigating) {
+        logEvent('route_apply', { route, deferred: true });
+        pendingRoute = route;
+        return;
+    }
+
+    logEvent('route_apply', { route });
+
+    if (route.lang && route.lang !== document.documentElement.lang) {
+        switchLanguage(route.lang);
+    }
+
+    const index = route.sectionId ? navigableSectionIds.indexOf(route.sectionId) : -1;
+    if (route.mode === 'section') {
+        if (navState.mode !== 'section') {
+            setNavMode('section');
+        }
+        if (index !== -1 && index !== getCurrentSection()) {
+            navState.dispatch('INTENT', { source: 'nav' });
+            scrollToSection(index, { instant: options.instant });
+        }
+    } else if (navState.mode !== 'card' && !isMobile()) {
+        // Mobile has no card mode; a card route only carries the language there
+        returnToCardMode();
+    }
+
+    // Opened right away: the section scrolls into place behind the overlay
+    if (route.projectId) {
+        openProjectDetail(route.projectId);
+    } else {
+        closeProjectDetail();
+    }
+
+    // The entry already exists; only canonicalize it
+    scheduleRouteSync({ replace: true });
+}
+
+/**
+ * Called when a navigation releases its lock
+ */
+function handleRouteNavigationSettled() {
+    if (pendingRoute) {
+        const route = pendingRoute;
+        pendingRoute = null;
+        applyRoute(route);
+        return;
+    }
+    scheduleRouteSync();
+}
+
+/**
+ * Handles browser Back/Forward
+ */
+function handlePopState() {
+    const route = parseRouteHash(window.location.hash) || { lang: null, mode: 'card', sectionId: null, projectId: null };
+    applyRoute(route);
+}
+
+/**
+ * Initializes routing: restores state from the URL and listens for history changes
+ */
+function initRouter() {
+    routerReady = true;
+    window.addEventListener('popstate', handlePopState);
+
+    const initialRoute = parseRouteHash(window.location.hash);
+    if (initialRoute) {
+        applyRoute(initialRoute, { instant: true });
+    }
+}
@@ -0,0 +1,455 @@
+// ============================================
+// Command Palette Search (Ctrl/Cmd+K)
+// ============================================
+
+// Indexes every entry heading (h3), paragraph and tag of both languages
+// from the rendered DOM, so it always matches what the page shows. While
+// the palette is open it suspends wheel/key/swipe routing; selecting a
+// result navigates to the owning section and then scrolls that section's
+// content to the matched entry (navigateToEntry in js/main.js).
+
+const SEARCH_RESULT_LIMIT = 12;
+const SEARCH_SNIPPET_RADIUS = 60; // Characters of context around a paragraph match
+const SEARCH_KIND_WEIGHT = { heading: 30, tag: 20, paragraph: 10 };
+
+let searchOverlay = null;
+let searchInput = null;
+let searchResultsList = null;
+let searchEmptyNote = null;
+let searchFooter = null;
+let searchIndex = [];
+let searchResults = [];
+let searchActiveIndex = -1;
+let searchReturnFocus = null;
+
+/**
+ * Folds text for matching: lowercase, no diacritics, dotless ı → i.
+ * Keeps one output character per input code unit so match offsets map
+ * straight back onto the original text for highlighting.
+ * @param {string} text
+ * @returns {string}
+ */
+function foldSearchText(text) {
+    let folded = '';
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        const base = char.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').charAt(0) || char;
+        folded += base === 'ı' ? 'i' : base;
+    }
+    return folded;
+}
+
+/**
+ * Builds the search index from the rendered sections (both languages)
+ * @returns {Object[]} Index entries
+ */
+function buildSearchIndex() {
+    const entries = [];
+    const kinds = [['h3', 'heading'], ['p', 'paragraph'], ['.tag', 'tag']];
+
+    document.querySelectorAll('.section-content [data-lang]').forEach((block) => {
+        const section = block.closest('.cv-section');
+        const sectionIndex = section ? navigableSectionIds.indexOf(section.id) : -1;
+        if (sectionIndex === -1) {
+            return;
+        }
+
+        kinds.forEach(([selector, kind]) => {
+            block.querySelectorAll(selector).forEach((element) => {
+                const text = element.textContent.replace(/\s+/g, ' ').trim();
+                if (!text || element.classList.contains('tag-filter-empty')) {
+                    return;
+                }
+                entries.push({
+                    kind,
+                    text,
+                    folded: foldSearchText(text),
+                    lang: block.dataset.lang,
+                    sectionId: section.id,
+                    sectionIndex,
+                    element,
+                    // Results point at the whole entry; About paragraphs stand alone
+                    target: element.closest('.experience-item, .education-item, .project-item') || element
+                });
+            });
+        });
+    });
+
+    return entries;
+}
+
+/**
+ * Scores an index entry against query terms
+ * @param {Object} entry
+ * @param {string[]} terms - Folded query terms
+ * @param {string} foldedQuery - Whole folded query
+ * @returns {number} Score, or -1 if not every term matches
+ */
+function scoreSearchEntry(entry, terms, foldedQuery) {
+    let score = SEARCH_KIND_WEIGHT[entry.kind] || 0;
+    let firstMatch = entry.folded.length;
+
+    for (const term of terms) {
+        const position = entry.folded.indexOf(term);
+        if (position === -1) {
+            return -1;
+        }
+        firstMatch = Math.min(firstMatch, position);
+        const isWordStart = position === 0 || !/[\p{L}\p{N}]/u.test(entry.folded[position - 1]);
+        if (isWordStart) {
+            score += 5;
+        }
+    }
+
+    if (entry.folded === foldedQuery) {
+        score += 15; // Exact tag or heading
+    }
+    if (entry.lang === getLocale()) {
+        score += 8;
+    }
+    // Earlier matches read better in a snippet
+    return score - Math.min(firstMatch, 200) / 100;
+}
+
+/**
+ * Searches the index
+ * @param {string} query
+ * @returns {Object[]} Ranked results (one per entry and language)
+ */
+function runSearch(query) {
+    const foldedQuery = foldSearchText(query.replace(/\s+/g, ' ').trim());
+    const terms = foldedQuery.split(' ').filter(Boolean);
+    if (!terms.length) {
+        return [];
+    }
+
+    const bestByTarget = new Map();
+    searchIndex.forEach((entry) => {
+        const score = scoreSearchEntry(entry, terms, foldedQuery);
+        if (score < 0) {
+            return;
+        }
+        const existing = bestByTarget.get(entry.target);
+        if (!existing || score > existing.score) {
+            bestByTarget.set(entry.target, { entry, score, terms });
+        }
+    });
+
+    return Array.from(bestByTarget.values())
+        .sort((a, b) => b.score - a.score)
+        .slice(0, SEARCH_RESULT_LIMIT);
+}
+
+/**
+ * Appends text to a container with matched terms wrapped in <mark>
+ * @param {HTMLElement} container
+ * @param {string} text - Original text
+ * @param {string} folded - foldSearchText(text)
+ * @param {string[]} terms
+ */
+function appendHighlightedText(container, text, folded, terms) {
+    const ranges = [];
+    terms.forEach((term) => {
+        let position = folded.indexOf(term);
+        while (position !== -1) {
+            ranges.push([position, position + term.length]);
+            position = folded.indexOf(term, position + term.length);
+        }
+    });
+    ranges.sort((a, b) => a[0] - b[0]);
+
+    let cursor = 0;
+    ranges.forEach(([start, end]) => {
+        if (end <= cursor) return;
+        start = Math.max(start, cursor);
+        if (start > cursor) {
+            container.appendChild(document.createTextNode(text.slice(cursor, start)));
+        }
+        const mark = document.createElement('mark');
+        mark.textContent = text.slice(start, end);
+        container.appendChild(mark);
+        cursor = end;
+    });
+    if (cursor < text.length) {
+        container.appendChild(document.createTextNode(text.slice(cursor)));
+    }
+}
+
+/**
+ * Builds the text shown for a result (paragraphs are trimmed around the match)
+ * @param {Object} result
+ * @returns {{text: string, folded: string}}
+ */
+function getSearchSnippet(result) {
+    const { entry, terms } = result;
+    if (entry.kind !== 'paragraph' || entry.text.length <= SEARCH_SNIPPET_RADIUS * 2) {
+        return { text: entry.text, folded: entry.folded };
+    }
+
+    const position = Math.max(0, entry.folded.indexOf(terms[0]));
+    const start = Math.max(0, position - SEARCH_SNIPPET_RADIUS);
+    const end = Math.min(entry.text.length, position + SEARCH_SNIPPET_RADIUS);
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < entry.text.length ? '…' : '';
+    return {
+        text: prefix + entry.text.slice(start, end) + suffix,
+        folded: prefix + entry.folded.slice(start, end) + suffix
+    };
+}
+
+/**
+ * Renders the current results into the listbox
+ */
+function renderSearchResults() {
+    searchResultsList.replaceChildren();
+
+    searchResults.forEach((result, index) => {
+        const { entry } = result;
+        const option = document.createElement('li');
+        option.className = 'search-result';
+        option.id = 'search-result-' + index;
+        option.setAttribute('role', 'option');
+        option.dataset.resultIndex = String(index);
+
+        const meta = document.createElement('span');
+        meta.className = 'search-result-section';
+        const contentSection = getContentSection(entry.sectionId);
+        const sectionTitle = contentSection ? getLocalized(contentSection.title, entry.lang) : entry.sectionId;
+        meta.textContent = `${sectionTitle} · ${entry.lang.toUpperCase()}`;
+
+        const text = document.createElement('span');
+        text.className = 'search-result-text search-result-' + entry.kind;
+        const snippet = getSearchSnippet(result);
+        appendHighlightedText(text, snippet.text, snippet.folded, result.terms);
+
+        option.appendChild(meta);
+        option.appendChild(text);
+        searchResultsList.appendChild(option);
+    });
+
+    const hasQuery = searchInput.value.trim().length > 0;
+    searchEmptyNote.hidden = !hasQuery || searchResults.length > 0;
+    searchInput.setAttribute('aria-expanded', searchResults.length ? 'true' : 'false');
+    setActiveSearchResult(searchResults.length ? 0 : -1);
+}
+
+/**
+ * Moves the active (keyboard-selected) result
+ * @param {number} index - Result index, or -1 for none
+ */
+function setActiveSearchResult(index) {
+    searchActiveIndex = index;
+    searchResultsList.querySelectorAll('.search-result').forEach((option, optionIndex) => {
+        const isActive = optionIndex === index;
+        option.classList.toggle('is-active', isActive);
+        option.setAttribute('aria-selected', isActive ? 'true' : 'false');
+        if (isActive) {
+            option.scrollIntoView({ block: 'nearest' });
+        }
+    });
+    if (index === -1) {
+        searchInput.removeAttribute('aria-activedescendant');
+    } else {
+        searchInput.setAttribute('aria-activedescendant', 'search-result-' + index);
+    }
+}
+
+/**
+ * Opens the palette
+ */
+function openSearch() {
+    if (!searchOverlay || !searchOverlay.hidden) {
+        return;
+    }
+
+    // Rebuilt on open: language blocks and filters change the visible DOM
+    searchIndex = buildSearchIndex();
+    searchReturnFocus = document.activeElement;
+
+    searchOverlay.querySelector('.search-dialog').setAttribute('aria-label', t('search.label'));
+    searchInput.setAttribute('aria-label', t('search.label'));
+    searchInput.placeholder = t('search.placeholder');
+    searchEmptyNote.textContent = t('search.empty');
+    searchFooter.textContent = t('search.footer');
+
+    suspendInputRouting('search');
+    searchOverlay.hidden = false;
+    document.body.classList.add('has-search-open');
+    searchResults = runSearch(searchInput.value);
+    renderSearchResults();
+    searchInput.focus();
+    searchInput.select();
+
+    logEvent('search', { action: 'open', indexed: searchIndex.length });
+}
+
+/**
+ * Closes the palette and gives input back to the page
+ * @param {{restoreFocus?: boolean}} [options]
+ */
+function closeSearch(options = {}) {
+    if (!searchOverlay || searchOverlay.hidden) {
+        return;
+    }
+    searchOverlay.hidden = true;
+    document.body.classList.remove('has-search-open');
+    resumeInputRouting('search');
+
+    if (options.restoreFocus !== false && searchReturnFocus && typeof searchReturnFocus.focus === 'function') {
+        searchReturnFocus.focus();
+    }
+    searchReturnFocus = null;
+
+    logEvent('search', { action: 'close' });
+}
+
+/**
+ * Navigates to a result: owning section first, then the entry inside it
+ * @param {Object} result
+ */
+function selectSearchResult(result) {
+    const { entry } = result;
+    closeSearch({ restoreFocus: false });
+
+    logEvent('search', { action: 'select', sectionId: entry.sectionId, lang: entry.lang, kind: entry.kind });
+
+    navigateToEntry(entry.sectionIndex, entry.target, () => {
+        if (entry.lang !== getLocale()) {
+            switchLanguage(entry.lang);
+        }
+    });
+}
+
+/**
+ * Handles keys inside the palette
+ * @param {KeyboardEvent} event
+ */
+function handleSearchInputKeyDown(event) {
+    switch (event.key) {
+        case 'ArrowDown':
+            event.preventDefault();
+            if (searchResults.length) {
+                setActiveSearchResult((searchActiveIndex + 1) % searchResults.length);
+            }
+            break;
+        case 'ArrowUp':
+            event.preventDefault();
+            if (searchResults.length) {
+                setActiveSearchResult((searchActiveIndex - 1 + searchResults.length) % searchResults.length);
+            }
+            break;
+        case 'Enter':
+            event.preventDefault();
+            if (searchActiveIndex !== -1) {
+                selectSearchResult(searchResults[searchActiveIndex]);
+            }
+            break;
+        case 'Escape':
+            event.preventDefault();
+            closeSearch();
+            break;
+        case 'Tab':
+            // The input is the only focus stop; results are reached with the arrows
+            event.preventDefault();
+            break;
+        default:
+            break;
+    }
+}
+
+/**
+ * Global shortcut: Ctrl+K / Cmd+K toggles the palette
+ * @param {KeyboardEvent} event
+ */
+function handleSearchShortcut(event) {
+    if (event.key.toLowerCase() !== 'k' || !(event.ctrlKey || event.metaKey) || event.altKey || event.shiftKey) {
+        return;
+    }
+    event.preventDefault();
+    if (searchOverlay.hidden) {
+        openSearch();
+    } else {
+        closeSearch();
+    }
+}
+
+/**
+ * Builds the palette markup
+ * @returns {HTMLElement}
+ */
+function createSearchOverlay() {
+    const overlay = document.createElement('div');
+    overlay.className = 'search-overlay';
+    overlay.hidden = true;
+
+    const dialog = document.createElement('div');
+    dialog.className = 'search-dialog';
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+
+    searchInput = document.createElement('input');
+    searchInput.type = 'search';
+    searchInput.className = 'search-input';
+    searchInput.autocomplete = 'off';
+    searchInput.spellcheck = false;
+    searchInput.setAttribute('role', 'combobox');
+    searchInput.setAttribute('aria-autocomplete', 'list');
+    searchInput.setAttribute('aria-controls', 'search-results');
+    searchInput.setAttribute('aria-expanded', 'false');
+
+    searchResultsList = document.createElement('ul');
+    searchResultsList.className = 'search-results';
+    searchResultsList.id = 'search-results';
+    searchResultsList.setAttribute('role', 'listbox');
+
+    searchEmptyNote = document.createElement('p');
+    searchEmptyNote.className = 'search-empty';
+    searchEmptyNote.hidden = true;
+
+    searchFooter = document.createElement('p');
+    searchFooter.className = 'search-footer';
+
+    dialog.appendChild(searchInput);
+    dialog.appendChild(searchResultsList);
+    dialog.appendChild(searchEmptyNote);
+    dialog.appendChild(searchFooter);
+    overlay.appendChild(dialog);
+    return overlay;
+}
+
+/**
+ * Initializes the command palette
+ */
+function initSearch() {
+    searchOverlay = createSearchOverlay();
+    document.body.appendChild(searchOverlay);
+
+    searchInput.addEventListener('input', () => {
+        searchResults = runSearch(searchInput.value);
+        renderSearchResults();
+    });
+    searchInput.addEventListener('keydown', handleSearchInputKeyDown);
+
+    searchResultsList.addEventListener('click', (event) => {
+        const option = event.target instanceof Element ? event.target.closest('.search-result') : null;
+        if (option) {
+            selectSearchResult(searchResults[parseInt(option.dataset.resultIndex, 10)]);
+        }
+    });
+    searchResultsList.addEventListener('mousemove', (event) => {
+        const option = event.target instanceof Element ? event.target.closest('.search-result') : null;
+        const index = option ? parseInt(option.dataset.resultIndex, 10) : -1;
+        if (option && index !== searchActiveIndex) {
+            setActiveSearchResult(index);
+        }
+    });
+
+    // Click on the backdrop (outside the dialog) closes
+    searchOverlay.addEventListener('mousedown', (event) => {
+        if (event.target === searchOverlay) {
+            closeSearch();
+        }
+    });
+
+    document.addEventListener('keydown', handleSearchShortcut);
+}
@@ -0,0 +1,98 @@
+// ============================================
+// Section Registry
+// ============================================
+
+// Which sections exist, in what order, and what part each plays in
+// navigation is declared on the section entries of js/content.js:
+//   navigable: false   no nav button, card, snap point or route (default: true)
+//   mergeInto: '<id>'  shown at the end of that section's content column
+//                      instead of as a .cv-section of its own
+//   order: <number>    position among the sections (default: declaration order)
+//   card: { icon, label, summary }  nav card shown in card mode
+// The registry resolves these declarations once. js/render.js builds the
+// sections, nav buttons and merged content from it; js/main.js takes the
+// navigable sections (snapping, cards, routing) and the expected layout
+// (verifySections) from it. Adding, reordering or merging a section is an
+// edit to js/content.js only.
+
+let sectionRegistry = null;
+
+/**
+ * Resolves the section declarations into registry entries
+ * @param {Object[]} declarations - CV_CONTENT.sections
+ * @returns {Object[]} Entries of the rendered sections, in order:
+ *   { id, section, order, navigable, merged: Object[] } (merged: section entries shown inside)
+ */
+function buildSectionRegistry(declarations) {
+    const seenIds = new Set();
+    const candidates = [];
+    declarations.forEach((section, index) => {
+        if (seenIds.has(section.id)) {
+            logEvent('section_registry', { problem: 'Duplicate section id, skipped', id: section.id }, 'warn');
+            return;
+        }
+        seenIds.add(section.id);
+        candidates.push({
+            id: section.id,
+            section,
+            order: Number.isFinite(section.order) ? section.order : index,
+            index
+        });
+    });
+
+    // Sort by order; declaration order breaks ties
+    candidates.sort((a, b) => a.order - b.order || a.index - b.index);
+
+    const isHost = (candidate) => !candidate.section.mergeInto;
+    const entries = candidates.filter(isHost).map((candidate) => ({
+        id: candidate.id,
+        section: candidate.section,
+        order: candidate.order,
+        navigable: candidate.section.navigable !== false,
+        merged: []
+    }));
+
+    candidates.filter((candidate) => !isHost(candidate)).forEach((candidate) => {
+        const host = entries.find((entry) => entry.id === candidate.section.mergeInto);
+        if (host) {
+            host.merged.push(candidate.section);
+            return;
+        }
+        // A missing host (or one that is merged itself) must not lose the content
+        logEvent('section_registry', { problem: 'Unknown mergeInto target, rendered on its own', id: candidate.id, mergeInto: candidate.section.mergeInto }, 'warn');
+        entries.push({
+            id: candidate.id,
+            section: candidate.section,
+            order: candidate.order,
+            navigable: candidate.section.navigable !== false,
+            merged: []
+        });
+    });
+    entries.sort((a, b) => a.order - b.order);
+
+    return entries;
+}
+
+/**
+ * @returns {Object[]} Entries of every rendered .cv-section, in page order
+ */
+function getSectionRegistry() {
+    if (!sectionRegistry) {
+        sectionRegistry = buildSectionRegistry(CV_CONTENT.sections);
+        logEvent('section_registry', {
+            sections: sectionRegistry.map((entry) => entry.id),
+            navigable: getNavigableSectionEntries().map((entry) => entry.id),
+            merged: sectionRegistry
+                .filter((entry) => entry.merged.length)
+                .map((entry) => `${entry.merged.map((section) => section.id).join('+')}→${entry.id}`)
+        });
+    }
+    return sectionRegistry;
+}
+
+/**
+ * @returns {Object[]} Entries of the navigable sections, in navigation order
+ */
+function getNavigableSectionEntries() {
+    return getSectionRegistry().filter((entry) => entry.navigable);
+}
@@ -0,0 +1,117 @@
+// ============================================
+// Themes (light, dark, high contrast)
+// ============================================
+
+// The theme is data-theme on <html>; css/style.css swaps the palette
+// variables per theme (screen only, print stays light). Without a saved
+// choice the system decides: prefers-contrast: more → high-contrast,
+// prefers-color-scheme: dark → dark, otherwise light, and it follows the
+// system while the page is open. An inline script in index.html applies
+// the same resolution before the first paint, so nothing flashes on load.
+//
+// The toolbar toggle cycles system → light → dark → high-contrast → system;
+// an explicit choice is saved in localStorage like the language is.
+
+const THEMES = ['light', 'dark', 'high-contrast'];
+const THEME_CYCLE = ['system', 'light', 'dark', 'high-contrast'];
+const THEME_ICONS = { system: '◐', light: '☀', dark: '☾', 'high-contrast': '◑' };
+
+let themeToggle = null;
+
+/**
+ * Resolves the theme the system asks for
+ * @returns {'light'|'dark'|'high-contrast'}
+ */
+function getSystemTheme() {
+    if (window.matchMedia('(prefers-contrast: more)').matches) return 'high-contrast';
+    if (window.matchMedia('(prefers-color-scheme: dark)').matches) return 'dark';
+    return 'light';
+}
+
+/**
+ * Gets the saved theme choice
+ * @returns {string|null} A theme from THEMES, or null to follow the system
+ */
+function getThemePreference() {
+    const saved = localStorage.getItem('theme');
+    return THEMES.includes(saved) ? saved : null;
+}
+
+/**
+ * Saves the theme choice (null forgets it: follow the system)
+ * @param {string|null} theme
+ */
+function saveThemePreference(theme) {
+    if (theme) {
+        localStorage.setItem('theme', theme);
+    } else {
+        localStorage.removeItem('theme');
+    }
+}
+
+/**
+ * Updates the toggle's icon and label for the current choice
+ */
+function updateThemeToggle() {
+    if (!themeToggle) return;
+    const choice = getThemePreference() || 'system';
+    themeToggle.textContent = THEME_ICONS[choice];
+    themeToggle.dataset.theme = choice;
+    const label = t('theme.toggleLabel', { theme: t(`theme.${choice}`) });
+    themeToggle.setAttribute('aria-label', label);
+    themeToggle.title = label;
+}
+
+/**
+ * Applies a theme to the page
+ * @param {'light'|'dark'|'high-contrast'} theme
+ */
+function applyTheme(theme) {
+    document.documentElement.setAttribute('data-theme', theme);
+    updateThemeToggle();
+}
+
+/**
+ * Switches theme and remembers the choice
+ * @param {string} choice - A theme from THEMES, or 'system'
+ */
+function switchTheme(choice) {
+    const theme = THEMES.includes(choice) ? choice : null;
+    saveThemePreference(theme);
+    applyTheme(theme || getSystemTheme());
+    logEvent('theme', { choice: theme || 'system', theme: theme || getSystemTheme() });
+}
+
+/**
+ * Moves to the next choice in THEME_CYCLE
+ */
+function cycleTheme() {
+    const current = THEME_CYCLE.indexOf(getThemePreference() || 'system');
+    switchTheme(THEME_CYCLE[(current + 1) % THEME_CYCLE.length]);
+}
+
+/**
+ * Adds the toggle next to the language switcher and follows system changes
+ */
+function initThemes() {
+    const languageSwitcher = document.querySelector('.language-switcher');
+    if (languageSwitcher) {
+        themeToggle = document.createElement('button');
+        themeToggle.type = 'button';
+        themeToggle.className = 'toolbar-button theme-toggle';
+        themeToggle.addEventListener('click', cycleTheme);
+        languageSwitcher.before(themeToggle);
+    }
+
+    applyTheme(getThemePreference() || getSystemTheme());
+
+    const followSystem = () => {
+        if (!getThemePreference()) applyTheme(getSystemTheme());
+    };
+    ['(prefers-color-scheme: dark)', '(prefers-contrast: more)'].forEach((query) => {
+        window.matchMedia(query).addEventListener('change', followSystem);
+    });
+
+    // The toggle's label is built with a parameter, so applyTranslations cannot redo it
+    document.addEventListener('cv:languagechange', updateThemeToggle);
+}
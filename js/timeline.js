@@ -0,0 +1,209 @@
+// ============================================
+// Career Timeline
+// ============================================
+
+// A toggle at the top of the Experience section opens a timeline of every
+// dated entry, drawn from item.period in CV_CONTENT (the headings only show
+// it as text). Work (experience and fellowship entries) and education get a
+// lane each; entries that overlap within a lane are stacked on extra rows,
+// so parallel roles and studies are visible side by side. The timeline is
+// built in the active language and rebuilt when it changes. Clicking a bar
+// navigates to the section that owns the entry and scrolls to it, like a
+// search result.
+
+const TIMELINE_HOST_SECTION_ID = 'experience';
+const TIMELINE_LANES = [
+    { id: 'work', kinds: ['experience', 'fellowship'] },
+    { id: 'education', kinds: ['education'] }
+];
+
+let timelineToggle = null;
+let timelinePanel = null;
+
+/**
+ * Collects the dated entries of each lane, in start order
+ * @returns {{id: string, entries: Object[]}[]} entries: { sectionId, kind, item, start, end }
+ */
+function collectTimelineLanes() {
+    return TIMELINE_LANES.map((lane) => {
+        const entries = [];
+        CV_CONTENT.sections.forEach((section) => {
+            if (!lane.kinds.includes(section.kind)) return;
+            (section.items || []).forEach((item) => {
+                if (!item.period || !item.period.start) return;
+                entries.push({
+                    sectionId: section.id,
+                    kind: section.kind,
+                    item,
+                    start: item.period.start,
+                    end: item.period.end || item.period.start
+                });
+            });
+        });
+        entries.sort((a, b) => a.start - b.start || a.end - b.end);
+        return { id: lane.id, entries };
+    });
+}
+
+/**
+ * Assigns overlapping entries to separate rows (first row that is free)
+ * @param {Object[]} entries - In start order
+ * @returns {Object[][]} Rows of entries
+ */
+function packTimelineRows(entries) {
+    const rows = [];
+    entries.forEach((entry) => {
+        const row = rows.find((candidate) => candidate[candidate.length - 1].end < entry.start);
+        if (row) {
+            row.push(entry);
+        } else {
+            rows.push([entry]);
+        }
+    });
+    return rows;
+}
+
+/**
+ * Gets the short bar label and the full description of an entry
+ * @param {Object} entry
+ * @param {string} lang
+ * @returns {{label: string, description: string}}
+ */
+function getTimelineEntryText(entry, lang) {
+    const text = getLocalized(entry.item.text, lang) || {};
+    const period = formatPeriod(entry.item.period, lang);
+    if (entry.kind === 'education') {
+        return {
+            label: text.institution || entry.item.id,
+            description: `${text.institution} - ${text.area} - ${text.degree} (${period})`
+        };
+    }
+    const title = entry.kind === 'experience' ? text.role : text.title;
+    return {
+        label: text.organization || title || entry.item.id,
+        description: `${title} - ${text.organization} (${period})`
+    };
+}
+
+/**
+ * Builds the timeline (axis and lanes) in the active language
+ * @returns {DocumentFragment}
+ */
+function renderCareerTimeline() {
+    const lang = getLocale();
+    const lanes = collectTimelineLanes();
+    const all = lanes.flatMap((lane) => lane.entries);
+    const fragment = document.createDocumentFragment();
+    if (!all.length) return fragment;
+
+    const firstYear = Math.min(...all.map((entry) => entry.start));
+    const lastYear = Math.max(...all.map((entry) => entry.end));
+    const span = lastYear - firstYear + 1; // Years are inclusive: 2022-2022 is one year wide
+    const toPercent = (year) => `${((year - firstYear) / span) * 100}%`;
+    const labelStep = span > 10 ? 2 : 1;
+
+    const axis = createContentElement('div', 'timeline-axis');
+    axis.setAttribute('aria-hidden', 'true');
+    for (let year = firstYear; year <= lastYear; year += labelStep) {
+        const tick = createContentElement('span', 'timeline-tick', formatDate(new Date(year, 0, 1), { year: 'numeric' }, lang));
+        tick.style.left = toPercent(year);
+        axis.appendChild(tick);
+    }
+    fragment.appendChild(axis);
+
+    lanes.forEach((lane) => {
+        if (!lane.entries.length) return;
+        const laneElement = createContentElement('div', `timeline-lane timeline-lane-${lane.id}`);
+        laneElement.setAttribute('role', 'group');
+        laneElement.setAttribute('aria-label', t(`timeline.${lane.id}`));
+        laneElement.appendChild(createContentElement('span', 'timeline-lane-label', t(`timeline.${lane.id}`)));
+
+        packTimelineRows(lane.entries).forEach((row) => {
+            const rowElement = createContentElement('div', 'timeline-row');
+            row.forEach((entry) => {
+                const { label, description } = getTimelineEntryText(entry, lang);
+                const bar = createContentElement('button', 'timeline-bar', label);
+                bar.type = 'button';
+                bar.dataset.sectionId = entry.sectionId;
+                bar.dataset.itemId = entry.item.id;
+                bar.title = description;
+                bar.setAttribute('aria-label', description);
+                bar.style.left = toPercent(entry.start);
+                bar.style.width = `${((entry.end - entry.start + 1) / span) * 100}%`;
+                rowElement.appendChild(bar);
+            });
+            laneElement.appendChild(rowElement);
+        });
+        fragment.appendChild(laneElement);
+    });
+
+    return fragment;
+}
+
+/**
+ * Rebuilds an open timeline and relabels the toggle (language change, import)
+ */
+function refreshCareerTimeline() {
+    if (!timelineToggle) return;
+    const expanded = !timelinePanel.hidden;
+    timelineToggle.textContent = t(expanded ? 'timeline.hide' : 'timeline.show');
+    if (expanded) {
+        timelinePanel.replaceChildren(renderCareerTimeline());
+    }
+}
+
+/**
+ * Opens or closes the timeline
+ * @param {boolean} [expanded] - Defaults to the opposite of the current state
+ */
+function toggleCareerTimeline(expanded = timelinePanel.hidden) {
+    timelinePanel.hidden = !expanded;
+    timelineToggle.setAttribute('aria-expanded', String(expanded));
+    refreshCareerTimeline();
+    if (!expanded) timelinePanel.replaceChildren();
+    // The section got taller or shorter
+    refreshScrollHints();
+    logEvent('timeline', { action: expanded ? 'open' : 'close' });
+}
+
+/**
+ * Navigates to the entry of a clicked bar: owning section first, then the entry
+ * @param {HTMLElement} bar
+ */
+function selectTimelineEntry(bar) {
+    const block = document.querySelector(`.section-content [data-section-id="${bar.dataset.sectionId}"][data-lang="${getLocale()}"]`);
+    const target = block ? block.querySelector(`[data-item-id="${bar.dataset.itemId}"]`) : null;
+    const section = target ? target.closest('.cv-section') : null;
+    const sectionIndex = section ? navigableSectionIds.indexOf(section.id) : -1;
+    if (sectionIndex === -1) return;
+
+    logEvent('timeline', { action: 'select', sectionId: section.id, itemId: bar.dataset.itemId });
+
+    navigateToEntry(sectionIndex, target);
+}
+
+/**
+ * Adds the toggle and the (closed) timeline under the host section's heading
+ */
+function initCareerTimeline() {
+    const heading = document.querySelector(`#${TIMELINE_HOST_SECTION_ID} .section-content > h1`);
+    if (!heading) return;
+
+    timelineToggle = createContentElement('button', 'timeline-toggle');
+    timelineToggle.type = 'button';
+    timelineToggle.setAttribute('aria-expanded', 'false');
+    timelineToggle.setAttribute('aria-controls', 'career-timeline');
+    timelineToggle.addEventListener('click', () => toggleCareerTimeline());
+
+    timelinePanel = createContentElement('div', 'career-timeline');
+    timelinePanel.id = 'career-timeline';
+    timelinePanel.hidden = true;
+    timelinePanel.addEventListener('click', (event) => {
+        const bar = event.target instanceof Element ? event.target.closest('.timeline-bar') : null;
+        if (bar) selectTimelineEntry(bar);
+    });
+
+    heading.after(timelineToggle, timelinePanel);
+    refreshCareerTimeline();
+    document.addEventListener('cv:languagechange', refreshCareerTimeline);
+}
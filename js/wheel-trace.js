@@ -0,0 +1,365 @@
+// ============================================
+// Wheel Trace Recorder & Replay
+// ============================================
+
+// Records real wheel input (trackpad bursts, momentum tails) to JSON and
+// replays it through handleWheelEvent on a virtual clock, so a navigation
+// regression seen on one device can be reproduced anywhere, deterministically.
+//
+// Recording (debug mode, ?debug=1): Alt+Shift+R starts, Alt+Shift+R again
+// stops and downloads the trace. From the console: startWheelRecording(),
+// stopWheelRecording() → trace.
+// A trace stores where navigation went while it was recorded (visits), so
+// replayWheelTrace(trace) checks itself:
+//   replayWheelTrace(trace) → { passed, visits, expected, ... }
+//   loadWheelTrace('tests/fixtures/trackpad-momentum.json') → Promise of the same
+// Saved traces live in tests/fixtures/; tests/wheel-trace.test.js replays
+// each one headless through the wheel gates of js/nav-state.js on the
+// virtual clock below and checks the number of navigations (npm test).
+//
+// Replay is desktop-only (mobile leaves wheel input to the browser) and
+// resolves targets against the current layout: scroll positions are stored
+// relative to each section's scroll range, so top/bottom boundaries hold at
+// any viewport size.
+
+const WHEEL_TRACE_VERSION = 1;
+const WHEEL_REPLAY_SETTLE_MS = 2000; // Virtual time after the last event, to let navigations finish
+
+let wheelTraceRecording = null; // { trace, startTime, sink } while recording
+
+/**
+ * Captures the navigation state a trace starts or ends in
+ * @returns {{navMode: string, sectionId: string|null, inputProfile: string, locks: Object}}
+ */
+function getWheelTraceSnapshot() {
+    const now = navClock.now();
+    const state = navState.getState();
+    const since = (time) => (time ? now - time : null);
+    return {
+        navMode: state.mode,
+        sectionId: navigableSectionIds[getCurrentSection()] || null,
+        inputProfile: getActiveInputProfileName(),
+        locks: {
+            lockRemainingMs: Math.max(0, state.lockUntil - now),
+            sinceLastWheelMs: since(state.lastWheelEventTime),
+            sinceLastNavigationMs: since(state.lastInputTime),
+            requiresFreshBurst: state.requiresFreshBurst
+        }
+    };
+}
+
+/**
+ * Describes where a wheel event landed
+ * @param {EventTarget} target
+ * @returns {{target: 'content'|'section'|'outside', sectionId: string|null, scrollTop?: number, maxScrollTop?: number}}
+ */
+function describeWheelTarget(target) {
+    const element = target instanceof Element ? target : null;
+    const content = element ? element.closest('.section-content') : null;
+    const section = element ? element.closest('.cv-section') : null;
+
+    if (content) {
+        return {
+            target: 'content',
+            sectionId: section ? section.id : null,
+            scrollTop: Math.round(content.scrollTop),
+            maxScrollTop: Math.max(0, content.scrollHeight - content.clientHeight)
+        };
+    }
+    return { target: section ? 'section' : 'outside', sectionId: section ? section.id : null };
+}
+
+/**
+ * Reads the visited path from logged events: section ids, and 'card' for returns to card mode
+ * @param {Object[]} entries - Log entries
+ * @returns {string[]}
+ */
+function getVisitsFromLog(entries) {
+    const visits = [];
+    entries.forEach((entry) => {
+        if (entry.type === 'nav_complete') {
+            visits.push(entry.data.sectionId);
+        } else if (entry.type === 'mode_change' && entry.data.to === 'card') {
+            visits.push('card');
+        }
+    });
+    return visits;
+}
+
+// ============================================
+// Recording
+// ============================================
+
+/**
+ * Stores one wheel event (capture phase, before native scrolling moves the content)
+ * @param {WheelEvent} event
+ */
+function recordWheelEvent(event) {
+    if (!wheelTraceRecording) return;
+    wheelTraceRecording.trace.events.push(Object.assign({
+        // Handling time, not event.timeStamp: the router times input when it handles it
+        t: Math.round((performance.now() - wheelTraceRecording.startTime) * 10) / 10,
+        deltaX: event.deltaX,
+        deltaY: event.deltaY,
+        deltaMode: event.deltaMode
+    }, describeWheelTarget(event.target)));
+}
+
+/**
+ * Starts recording wheel input
+ */
+function startWheelRecording() {
+    if (wheelTraceRecording) return;
+
+    const sink = createMemoryLogSink('info', Infinity);
+    addLogSink('wheel-trace', sink);
+    wheelTraceRecording = {
+        startTime: performance.now(),
+        sink,
+        trace: {
+            version: WHEEL_TRACE_VERSION,
+            recordedAt: new Date().toISOString(),
+            userAgent: navigator.userAgent,
+            viewport: { width: window.innerWidth, height: window.innerHeight },
+            start: getWheelTraceSnapshot(),
+            events: []
+        }
+    };
+    window.addEventListener('wheel', recordWheelEvent, { capture: true, passive: true });
+    logEvent('wheel_trace', { action: 'record-start' });
+}
+
+/**
+ * Stops recording
+ * @returns {Object|null} The trace, or null if nothing was being recorded
+ */
+function stopWheelRecording() {
+    if (!wheelTraceRecording) return null;
+
+    const { trace, sink } = wheelTraceRecording;
+    window.removeEventListener('wheel', recordWheelEvent, { capture: true });
+    removeLogSink('wheel-trace');
+    wheelTraceRecording = null;
+
+    trace.visits = getVisitsFromLog(sink.entries);
+    trace.end = getWheelTraceSnapshot();
+    logEvent('wheel_trace', { action: 'record-stop', events: trace.events.length, visits: trace.visits });
+    return trace;
+}
+
+/**
+ * Downloads a trace as JSON
+ * @param {Object} trace
+ */
+function downloadWheelTrace(trace) {
+    const blob = new Blob([JSON.stringify(trace, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `wheel-trace-${trace.recordedAt.replace(/[:.]/g, '-')}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+// ============================================
+// Replay
+// ============================================
+
+/**
+ * Creates a clock whose time only moves when told to. Timers fire in
+ * order of due time as the clock passes them.
+ * @param {number} startTime
+ * @returns {{now: function(): number, setTimeout: function(Function, number): number, clearTimeout: function(number): void, advanceTo: function(number): void}}
+ */
+function createVirtualClock(startTime) {
+    let current = startTime;
+    let nextTimerId = 1;
+    let timers = [];
+
+    return {
+        now: () => current,
+        setTimeout(callback, ms) {
+            const id = nextTimerId++;
+            timers.push({ id, at: current + Math.max(0, ms || 0), callback });
+            return id;
+        },
+        clearTimeout(id) {
+            timers = timers.filter((timer) => timer.id !== id);
+        },
+        advanceTo(time) {
+            for (;;) {
+                const due = timers
+                    .filter((timer) => timer.at <= time)
+                    .sort((a, b) => (a.at - b.at) || (a.id - b.id))[0];
+                if (!due) break;
+                timers = timers.filter((timer) => timer !== due);
+                current = Math.max(current, due.at);
+                due.callback();
+            }
+            current = Math.max(current, time);
+        }
+    };
+}
+
+/**
+ * Puts navigation into a trace's starting state
+ * @param {Object} start - trace.start
+ * @param {number} base - Virtual time of the first event
+ */
+function applyWheelTraceStart(start, base) {
+    const index = Math.max(0, navigableSectionIds.indexOf(start.sectionId));
+    const section = navigableSections[index];
+    setNavMode(start.navMode === 'section' ? 'section' : 'card');
+    if (section) {
+        sectionsWrapper.scrollTo({ left: getSectionNavOffset(section), behavior: 'instant' });
+    }
+
+    // Traces without a profile predate classification and ran on the default one
+    resetInputClassifier(start.inputProfile);
+
+    const locks = start.locks || {};
+    const at = (sinceMs) => (sinceMs === null || sinceMs === undefined ? 0 : base - sinceMs);
+    navState.reset({
+        targetIndex: index,
+        lockUntil: base + (locks.lockRemainingMs || 0),
+        lastWheelEventTime: at(locks.sinceLastWheelMs),
+        lastInputTime: at(locks.sinceLastNavigationMs),
+        requiresFreshBurst: !!locks.requiresFreshBurst
+    });
+}
+
+/**
+ * Dispatches one recorded event against the current layout
+ * @param {Object} record - A trace event
+ */
+function dispatchWheelTraceEvent(record) {
+    let target = document.body;
+    if (record.target === 'content' || record.target === 'section') {
+        const section = navigableSections[getCurrentSection()];
+        const content = section ? section.querySelector('.section-content') : null;
+        target = (record.target === 'content' ? content : section) || document.body;
+
+        if (content && record.target === 'content') {
+            const maxScrollTop = Math.max(0, content.scrollHeight - content.clientHeight);
+            content.scrollTop = record.maxScrollTop > 0
+                ? Math.round(record.scrollTop / record.maxScrollTop * maxScrollTop)
+                : 0;
+        }
+    }
+
+    target.dispatchEvent(new WheelEvent('wheel', {
+        deltaX: record.deltaX || 0,
+        deltaY: record.deltaY || 0,
+        deltaMode: record.deltaMode || 0,
+        bubbles: true,
+        cancelable: true
+    }));
+}
+
+/**
+ * Replays a trace through the wheel router on a virtual clock and compares
+ * the sections visited with the ones the trace expects
+ * @param {Object} trace - From stopWheelRecording() or a saved fixture
+ * @param {{expectVisits?: string[], settleMs?: number}} [options] - expectVisits overrides trace.visits
+ * @returns {{passed: boolean, visits: string[], expected: string[]|null, eventCount: number}}
+ */
+function replayWheelTrace(trace, options = {}) {
+    if (!trace || trace.version !== WHEEL_TRACE_VERSION || !Array.isArray(trace.events)) {
+        throw new Error('Not a wheel trace');
+    }
+    if (isMobile()) {
+        throw new Error('Wheel replay needs the desktop layout');
+    }
+    if (navState.isNavigating || wheelTraceRecording) {
+        throw new Error('Navigation is busy');
+    }
+
+    const realClock = Object.assign({}, navClock);
+    const realInputProfile = getActiveInputProfileName();
+    const routerWasReady = routerReady;
+    const clock = createVirtualClock(Date.now());
+    const base = clock.now();
+    const sink = createMemoryLogSink('info', Infinity);
+
+    Object.assign(navClock, { now: clock.now, setTimeout: clock.setTimeout, clearTimeout: clock.clearTimeout });
+    forceInstantNavigation = true;
+    routerReady = false; // Replayed navigation is not history
+
+    let visits;
+    try {
+        applyWheelTraceStart(trace.start || {}, base);
+        addLogSink('wheel-replay', sink);
+        trace.events.forEach((record) => {
+            clock.advanceTo(base + record.t);
+            dispatchWheelTraceEvent(record);
+        });
+        const lastTime = trace.events.length ? trace.events[trace.events.length - 1].t : 0;
+        clock.advanceTo(base + lastTime + (options.settleMs || WHEEL_REPLAY_SETTLE_MS));
+        visits = getVisitsFromLog(sink.entries);
+    } finally {
+        removeLogSink('wheel-replay');
+        Object.assign(navClock, realClock);
+        forceInstantNavigation = false;
+        routerReady = routerWasReady;
+        // Lock timestamps are in virtual time; do not let them block real input
+        navState.reset({ lockUntil: 0, lastInputTime: 0, lastWheelEventTime: 0, requiresFreshBurst: false });
+        resetInputClassifier(realInputProfile);
+        scheduleRouteSync({ replace: true });
+    }
+
+    const expected = options.expectVisits || trace.visits || null;
+    const result = {
+        passed: expected ? JSON.stringify(visits) === JSON.stringify(expected) : true,
+        visits,
+        expected,
+        eventCount: trace.events.length
+    };
+    logEvent('wheel_trace', Object.assign({ action: 'replay' }, result), result.passed ? 'info' : 'warn');
+    return result;
+}
+
+/**
+ * Fetches a saved trace and replays it
+ * @param {string} url
+ * @param {Object} [options] - See replayWheelTrace
+ * @returns {Promise<Object>} Replay result
+ */
+function loadWheelTrace(url, options) {
+    return fetch(url)
+        .then((response) => {
+            if (!response.ok) throw new Error(`Could not load ${url} (${response.status})`);
+            return response.json();
+        })
+        .then((trace) => replayWheelTrace(trace, options));
+}
+
+/**
+ * Alt+Shift+R (debug mode only) toggles recording; stopping downloads the trace
+ * @param {KeyboardEvent} event
+ */
+function handleWheelTraceShortcut(event) {
+    if (!DEBUG_NAV || !event.altKey || !event.shiftKey || event.code !== 'KeyR') return;
+    event.preventDefault();
+    if (wheelTraceRecording) {
+        const trace = stopWheelRecording();
+        downloadWheelTrace(trace);
+    } else {
+        startWheelRecording();
+    }
+}
+
+/**
+ * Initializes the recording shortcut
+ */
+function initWheelTrace() {
+    window.addEventListener('keydown', handleWheelTraceShortcut);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        WHEEL_TRACE_VERSION,
+        WHEEL_REPLAY_SETTLE_MS,
+        createVirtualClock
+    };
+}
@@ -0,0 +1,72 @@
+// ============================================
+// Wheel Device Classification (headless)
+// ============================================
+
+// Classifies sample bursts of a notched mouse, a precision trackpad and a
+// Magic Mouse with classifyWheelBurst from js/input-profiles.js. Run with
+// `npm test`.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    INPUT_PROFILES,
+    INPUT_CLASSIFY_MIN_EVENTS,
+    INPUT_BURST_WINDOW,
+    classifyWheelBurst
+} = require('../js/input-profiles.js');
+
+/**
+ * Builds pixel-mode samples from vertical deltas
+ * @param {number[]} deltas - deltaY of each event
+ * @param {number[]} [drift] - deltaX of each event (default 0)
+ * @returns {Object[]}
+ */
+function burst(deltas, drift = []) {
+    return deltas.map((deltaY, index) => ({ deltaMode: 0, deltaX: drift[index] || 0, deltaY }));
+}
+
+test('every classification is a known profile', () => {
+    assert.ok(INPUT_PROFILES.mouse && INPUT_PROFILES.trackpad && INPUT_PROFILES['magic-mouse']);
+});
+
+test('an empty or motionless burst does not tell', () => {
+    assert.equal(classifyWheelBurst([], true), null);
+    assert.equal(classifyWheelBurst(burst([0, 0, 0, 0], [3, -2, 1, 0]), true), null);
+});
+
+test('mouse: line and page deltas', () => {
+    assert.equal(classifyWheelBurst([{ deltaMode: 1, deltaX: 0, deltaY: 3 }], false), 'mouse');
+    assert.equal(classifyWheelBurst([{ deltaMode: 2, deltaX: 0, deltaY: -1 }], false), 'mouse');
+});
+
+test('mouse: pixel notches of one size or its multiples', () => {
+    // A single notch is only a mouse once the burst has ended
+    assert.equal(classifyWheelBurst(burst([100]), false), null);
+    assert.equal(classifyWheelBurst(burst([100]), true), 'mouse');
+    // Two notches in a row tell straight away; a fast flick merges notches
+    assert.equal(classifyWheelBurst(burst([100, 100]), false), 'mouse');
+    assert.equal(classifyWheelBurst(burst([-120, -240, -120]), false), 'mouse');
+});
+
+test('trackpad: fractional deltas with horizontal drift', () => {
+    const samples = burst([1.5, 6, 14.5, 22, 18.5, 11, 5.5], [0, 0.5, 0, -1, 0, 0.5, 0]);
+    assert.equal(classifyWheelBurst(samples.slice(0, INPUT_CLASSIFY_MIN_EVENTS - 1), false), null);
+    assert.equal(classifyWheelBurst(samples, false), 'trackpad');
+});
+
+test('trackpad: small whole-number deltas', () => {
+    assert.equal(classifyWheelBurst(burst([2, 4, 7, 9, 6, 3, 1]), false), 'trackpad');
+});
+
+test('magic mouse: strictly vertical, whole numbers, a large peak', () => {
+    const samples = burst([8, 34, 76, 112, 90, 61, 40, 24, 12, 5, 2, 1]);
+    assert.equal(classifyWheelBurst(samples, false), 'magic-mouse');
+    // The same stream with drift is a trackpad
+    assert.equal(classifyWheelBurst(burst([8, 34, 76, 112, 90, 61], [0, 1, 0, 0, 0, 0]), false), 'trackpad');
+});
+
+test('a full window keeps its classification', () => {
+    const peak = [8, 34, 76, 112, 90, 61];
+    const tail = Array.from({ length: INPUT_BURST_WINDOW - peak.length }, (_, index) => Math.max(1, 40 - index * 2));
+    assert.equal(classifyWheelBurst(burst(peak.concat(tail)), true), 'magic-mouse');
+});
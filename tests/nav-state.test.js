@@ -0,0 +1,209 @@
+// ============================================
+// Navigation State Machine (headless)
+// ============================================
+
+// Drives js/nav-state.js with a fake clock: the wheel gates (fresh burst,
+// post-navigation lockout, cooldown), the shared navigation guards and the
+// transition table. Run with `npm test`.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    NAV_STATE_DEFAULTS,
+    createNavStateMachine,
+    getNavBlockReason,
+    getWheelBlockReason
+} = require('../js/nav-state.js');
+
+/**
+ * Creates a machine on a clock the test advances by hand
+ * @param {Object} [options] - Passed to createNavStateMachine
+ * @returns {{nav: Object, clock: {now: function(): number, advance: function(number): void}}}
+ */
+function createMachine(options = {}) {
+    let time = 10000;
+    const clock = {
+        now: () => time,
+        advance: (ms) => {
+            time += ms;
+        }
+    };
+    return { nav: createNavStateMachine(Object.assign({ clock }, options)), clock };
+}
+
+/**
+ * Runs one complete navigation driven by an input source
+ * @param {Object} nav
+ * @param {string} source - 'wheel' | 'key' | 'touch' | 'nav'
+ * @param {number} [index]
+ */
+function navigate(nav, source, index = 1) {
+    assert.equal(nav.dispatch('INTENT', { source }), true);
+    assert.equal(nav.dispatch('NAV_START', { index }), true);
+    assert.equal(nav.dispatch('NAV_COMPLETE'), true);
+}
+
+test('starts idle in card mode with nothing blocking', () => {
+    const { nav } = createMachine();
+    assert.equal(nav.mode, 'card');
+    assert.equal(nav.isNavigating, false);
+    assert.equal(nav.getBlockReason(), null);
+    assert.equal(nav.getWheelBlockReason(Number.POSITIVE_INFINITY), null);
+});
+
+test('card/section transitions', () => {
+    const { nav } = createMachine();
+    assert.equal(nav.dispatch('ENTER_SECTION'), true);
+    assert.equal(nav.mode, 'section');
+    assert.equal(nav.dispatch('RETURN_TO_CARD'), true);
+    assert.equal(nav.mode, 'card');
+});
+
+test('rejects transitions outside their declared states', () => {
+    const { nav } = createMachine();
+    const transitions = [];
+    nav.subscribe((transition) => transitions.push(transition));
+
+    // RETURN_TO_CARD while already in card mode
+    assert.equal(nav.dispatch('RETURN_TO_CARD'), false);
+    assert.equal(nav.mode, 'card');
+
+    // ENTER_SECTION while already in section mode
+    nav.dispatch('ENTER_SECTION');
+    assert.equal(nav.dispatch('ENTER_SECTION'), false);
+
+    // NAV_COMPLETE without a navigation
+    assert.equal(nav.dispatch('NAV_COMPLETE'), false);
+
+    // NAV_START and INTENT while already navigating
+    nav.dispatch('INTENT', { source: 'wheel' });
+    nav.dispatch('NAV_START', { index: 2 });
+    assert.equal(nav.dispatch('NAV_START', { index: 3 }), false);
+    assert.equal(nav.dispatch('INTENT', { source: 'key' }), false);
+    assert.equal(nav.targetIndex, 2);
+    assert.equal(nav.source, 'wheel');
+
+    const rejected = transitions.filter((transition) => !transition.accepted).map((transition) => transition.event);
+    assert.deepEqual(rejected, ['RETURN_TO_CARD', 'ENTER_SECTION', 'NAV_COMPLETE', 'NAV_START', 'INTENT']);
+    // A rejected event leaves the state as it was
+    transitions.filter((transition) => !transition.accepted).forEach((transition) => {
+        assert.deepEqual(transition.to, transition.from);
+    });
+});
+
+test('throws on an unknown event', () => {
+    const { nav } = createMachine();
+    assert.throws(() => nav.dispatch('TELEPORT'), /Unknown navigation event/);
+});
+
+test('a subscriber that throws does not break dispatch', () => {
+    const { nav } = createMachine();
+    nav.subscribe(() => {
+        throw new Error('listener failure');
+    });
+    assert.equal(nav.dispatch('ENTER_SECTION'), true);
+    assert.equal(nav.mode, 'section');
+});
+
+test('wheel gate: fresh burst after a wheel navigation', () => {
+    const { nav, clock } = createMachine();
+    nav.dispatch('ENTER_SECTION');
+    navigate(nav, 'wheel');
+
+    // Past the lockout and the cooldown, only the burst gate is left
+    clock.advance(NAV_STATE_DEFAULTS.postNavLockMs);
+    assert.equal(nav.getWheelBlockReason(NAV_STATE_DEFAULTS.burstGapMs - 1), 'fresh-burst');
+    assert.equal(nav.getWheelBlockReason(NAV_STATE_DEFAULTS.burstGapMs), null);
+});
+
+test('wheel gate: post-navigation lockout', () => {
+    const { nav, clock } = createMachine();
+    nav.dispatch('ENTER_SECTION');
+    navigate(nav, 'wheel');
+
+    // A fresh burst inside the lockout is still absorbed
+    const freshGap = NAV_STATE_DEFAULTS.burstGapMs;
+    assert.equal(nav.getWheelBlockReason(freshGap), 'post-nav-lock');
+    clock.advance(NAV_STATE_DEFAULTS.postNavLockMs - 1);
+    assert.equal(nav.getWheelBlockReason(freshGap), 'post-nav-lock');
+    clock.advance(1);
+    assert.equal(nav.getWheelBlockReason(freshGap), null);
+});
+
+test('wheel gate: cooldown between inputs', () => {
+    const { nav, clock } = createMachine({ config: { postNavLockMs: 0 } });
+    nav.dispatch('ENTER_SECTION');
+    // The claimed input starts the cooldown even when no navigation follows
+    nav.dispatch('INTENT', { source: 'wheel' });
+    nav.dispatch('INTENT_DROPPED');
+
+    assert.equal(nav.getWheelBlockReason(Number.POSITIVE_INFINITY), 'cooldown');
+    clock.advance(NAV_STATE_DEFAULTS.cooldownMs - 1);
+    assert.equal(nav.getWheelBlockReason(Number.POSITIVE_INFINITY), 'cooldown');
+    clock.advance(1);
+    assert.equal(nav.getWheelBlockReason(Number.POSITIVE_INFINITY), null);
+});
+
+test('nav clicks do not start the cooldown or a lockout', () => {
+    const { nav } = createMachine();
+    nav.dispatch('ENTER_SECTION');
+    navigate(nav, 'nav');
+    assert.equal(nav.getBlockReason(), null);
+    assert.equal(nav.getWheelBlockReason(0), null);
+});
+
+test('navigation guards: each block reason', () => {
+    const { nav, clock } = createMachine();
+    nav.dispatch('ENTER_SECTION');
+
+    // A nav click or route owns the navigation
+    nav.dispatch('INTENT', { source: 'nav' });
+    assert.equal(nav.getBlockReason(), 'nav-in-progress');
+    nav.dispatch('INTENT_DROPPED');
+
+    // Any other input while the animation runs
+    nav.dispatch('INTENT', { source: 'key' });
+    nav.dispatch('NAV_START', { index: 1 });
+    assert.equal(nav.getBlockReason(), 'navigating');
+
+    // Key navigation arms the lockout on completion
+    nav.dispatch('NAV_COMPLETE');
+    assert.equal(nav.getBlockReason(), 'post-nav-lock');
+    clock.advance(NAV_STATE_DEFAULTS.postNavLockMs);
+    assert.equal(nav.getBlockReason(), null);
+});
+
+test('navigation guards: cooldown without a lockout', () => {
+    const { nav, clock } = createMachine({ config: { postNavLockMs: 0 } });
+    nav.dispatch('ENTER_SECTION');
+    navigate(nav, 'touch');
+    assert.equal(nav.getBlockReason(), 'cooldown');
+    clock.advance(NAV_STATE_DEFAULTS.cooldownMs);
+    assert.equal(nav.getBlockReason(), null);
+    assert.equal(nav.getState().requiresFreshGesture, true);
+});
+
+test('configure replaces thresholds (input profiles)', () => {
+    const { nav, clock } = createMachine();
+    nav.configure({ postNavLockMs: 40, cooldownMs: 10 });
+    nav.dispatch('ENTER_SECTION');
+    navigate(nav, 'wheel');
+    clock.advance(40);
+    assert.equal(nav.getWheelBlockReason(NAV_STATE_DEFAULTS.burstGapMs), null);
+});
+
+test('noteWheelEvent measures the gap on the injected clock', () => {
+    const { nav, clock } = createMachine();
+    assert.equal(nav.noteWheelEvent(), Number.POSITIVE_INFINITY);
+    clock.advance(16);
+    assert.equal(nav.noteWheelEvent(), 16);
+});
+
+test('the guard functions are pure', () => {
+    const config = Object.assign({}, NAV_STATE_DEFAULTS);
+    const state = { source: null, phase: 'idle', lockUntil: 500, lastInputTime: 0, requiresFreshBurst: true };
+    assert.equal(getNavBlockReason(state, 499, config), 'post-nav-lock');
+    assert.equal(getNavBlockReason(state, 500, config), null);
+    assert.equal(getWheelBlockReason(state, 500, config.burstGapMs - 1, config), 'fresh-burst');
+    assert.equal(getWheelBlockReason(state, 500, config.burstGapMs, config), null);
+});
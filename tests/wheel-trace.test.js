@@ -0,0 +1,92 @@
+// ============================================
+// Wheel Trace Replay (headless)
+// ============================================
+
+// Replays the saved traces in tests/fixtures/ through the wheel gates of
+// js/nav-state.js on the virtual clock of js/wheel-trace.js, and checks that
+// each trace still navigates as often as it did when it was recorded. The
+// page-level replay (replayWheelTrace) runs the same traces through the real
+// router and layout; this one needs no DOM. Run with `npm test`.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { NAV_STATE_DEFAULTS, createNavStateMachine } = require('../js/nav-state.js');
+const { WHEEL_TRACE_VERSION, WHEEL_REPLAY_SETTLE_MS, createVirtualClock } = require('../js/wheel-trace.js');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+// Replay keeps the navigation lock for a smooth scroll's typical duration
+// (NAV_SIMULATED_SMOOTH_MS in js/main.js)
+const REPLAY_NAV_MS = 800;
+
+/**
+ * @param {string} name - File in tests/fixtures/
+ * @returns {Object} The parsed trace
+ */
+function loadFixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8'));
+}
+
+/**
+ * Replays a trace through the wheel gates, the way handleWheelEvent routes
+ * a wheel event at a content boundary in section mode
+ * @param {Object} trace
+ * @returns {{navigations: number, blocked: Object<string, number>}}
+ */
+function replayThroughGates(trace) {
+    const clock = createVirtualClock(0);
+    const nav = createNavStateMachine({ clock, config: NAV_STATE_DEFAULTS });
+    const blocked = {};
+    let navigations = 0;
+
+    const locks = trace.start.locks || {};
+    nav.reset({
+        mode: trace.start.navMode === 'section' ? 'section' : 'card',
+        lockUntil: locks.lockRemainingMs || 0,
+        requiresFreshBurst: !!locks.requiresFreshBurst
+    });
+
+    trace.events.forEach((record) => {
+        clock.advanceTo(record.t);
+        const gap = nav.noteWheelEvent();
+        const reason = nav.isNavigating ? 'navigating' : nav.getWheelBlockReason(gap);
+        if (reason) {
+            blocked[reason] = (blocked[reason] || 0) + 1;
+            return;
+        }
+        nav.dispatch('INTENT', { source: 'wheel' });
+        nav.dispatch('NAV_START', { index: nav.targetIndex + Math.sign(record.deltaY) });
+        navigations++;
+        clock.setTimeout(() => nav.dispatch('NAV_COMPLETE'), REPLAY_NAV_MS);
+    });
+
+    const lastTime = trace.events.length ? trace.events[trace.events.length - 1].t : 0;
+    clock.advanceTo(lastTime + WHEEL_REPLAY_SETTLE_MS);
+    assert.equal(nav.isNavigating, false);
+    return { navigations, blocked };
+}
+
+const fixtures = fs.readdirSync(FIXTURES_DIR).filter((name) => name.endsWith('.json'));
+
+test('there is at least one saved trace', () => {
+    assert.ok(fixtures.length > 0);
+});
+
+fixtures.forEach((name) => {
+    test(`${name} navigates as recorded`, () => {
+        const trace = loadFixture(name);
+        assert.equal(trace.version, WHEEL_TRACE_VERSION);
+
+        const { navigations } = replayThroughGates(trace);
+        assert.equal(navigations, trace.visits.length);
+    });
+});
+
+test('trackpad momentum: one navigation per swipe, the tail is absorbed', () => {
+    const { navigations, blocked } = replayThroughGates(loadFixture('trackpad-momentum.json'));
+    assert.equal(navigations, 2);
+    // The tail arrives while the first navigation runs, then without a pause
+    assert.ok(blocked.navigating > 0);
+    assert.ok(blocked['fresh-burst'] > 0);
+});